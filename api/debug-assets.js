@@ -1,5 +1,6 @@
 import path from "path";
 import fs from "fs/promises";
+import { DEFAULT_TEMPLATE_ID } from "../lib/templates.js";
 
 export default async function handler(req, res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -65,7 +66,7 @@ export default async function handler(req, res) {
     }
     
     // Test 4: Check template file
-    const templatePath = path.join(process.cwd(), "templates", "template.json");
+    const templatePath = path.join(process.cwd(), "templates", `${DEFAULT_TEMPLATE_ID}.json`);
     try {
       const templateStats = await fs.stat(templatePath);
       results.templateFile = {
@@ -1,9 +1,4 @@
-function resolvePlaceholders(value, data) {
-  if (typeof value !== "string") return value;
-  return value.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => {
-    return data[key] ?? "";
-  });
-}
+import { resolvePlaceholders } from "../lib/placeholders.js";
 
 export default async function handler(req, res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -1,14 +1,7 @@
 import sharp from "sharp";
-import fetch from "node-fetch";
-import path from "path";
-import fs from "fs/promises";
-
-function resolvePlaceholders(value, data) {
-  if (typeof value !== "string") return value;
-  return value.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => {
-    return data[key] ?? "";
-  });
-}
+import { RenderError } from "../lib/errors.js";
+import { loadAsset } from "../lib/fetcher.js";
+import { SourceRejectedError } from "../lib/sandbox.js";
 
 export default async function handler(req, res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -37,11 +30,12 @@ export default async function handler(req, res) {
     
     // Try to load custom background first
     if (template.background) {
-      const bgPath = path.join(process.cwd(), template.background);
+      // Same sandbox as every other render: files in assets/ or public http(s) URLs
       try {
-        backgroundBuffer = await fs.readFile(bgPath);
-        console.log("Loaded custom background:", bgPath);
+        backgroundBuffer = await loadAsset(template.background, { name: "background" });
+        console.log("Loaded custom background:", template.background);
       } catch (e) {
+        if (e instanceof SourceRejectedError) throw e;
         console.warn("Failed to load background, using default:", e.message);
         // Create a white 1080x1080 background
         backgroundBuffer = await sharp({
@@ -82,6 +76,9 @@ export default async function handler(req, res) {
     });
 
   } catch (err) {
+    if (err instanceof RenderError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
     console.error("Sharp preview error:", err);
     return res.status(500).json({ error: "Sharp preview failed: " + err.message });
   }
@@ -1,10 +1,12 @@
-import { createCanvas, loadImage, registerFont } from "canvas";
+import { registerFont } from "canvas";
 import path from "path";
-import fetch from "node-fetch";
 import crypto from "crypto";
-import { fileURLToPath } from "url";
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
+import { validateTemplate } from "../lib/schema.js";
+import { applyContract } from "../lib/contract.js";
+import { renderTemplate } from "../lib/renderer.js";
+import { RenderError } from "../lib/errors.js";
+import { encodeImage, isAnimated, resolveOutput } from "../lib/output.js";
+import { applySize, requestedSizes } from "../lib/sizes.js";
 
 // Register custom font (DB-Adman-X)
 const assetsDir = path.join(process.cwd(), "assets");
@@ -17,28 +19,6 @@ try {
   // Continue without custom font - will fall back to system fonts
 }
 
-function resolvePlaceholders(value, data) {
-  if (typeof value !== "string") return value;
-  return value.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => {
-    return data[key] ?? "";
-  });
-}
-
-function drawRoundedRect(ctx, x, y, width, height, radius) {
-  const r = Math.max(0, Math.min(radius || 0, Math.min(width, height) / 2));
-  ctx.beginPath();
-  ctx.moveTo(x + r, y);
-  ctx.lineTo(x + width - r, y);
-  ctx.quadraticCurveTo(x + width, y, x + width, y + r);
-  ctx.lineTo(x + width, y + height - r);
-  ctx.quadraticCurveTo(x + width, y + height, x + width - r, y + height);
-  ctx.lineTo(x + r, y + height);
-  ctx.quadraticCurveTo(x, y + height, x, y + height - r);
-  ctx.lineTo(x, y + r);
-  ctx.quadraticCurveTo(x, y, x + r, y);
-  ctx.closePath();
-}
-
 export default async function handler(req, res) {
   // Enable CORS
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -54,153 +34,47 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { template, data } = req.body;
+    const { template, data: rawData } = req.body;
     
-    if (!template || !data) {
+    if (!template || !rawData) {
       return res.status(400).json({ error: "Both template and data are required" });
     }
+
+    const errors = validateTemplate(template);
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid template", errors });
+    }
+    const output = resolveOutput(template, req.body);
+    const [size] = requestedSizes({ size: req.body.size }, template);
     
+    // Previews apply input defaults but still render when the sample data
+    // breaks the contract; the problems are returned alongside the image
+    const { data, errors: dataErrors } = applyContract(template, rawData);
+
     const requestId = crypto.randomUUID();
     const log = (...args) => console.log(`[${requestId}-preview]`, ...args);
     const logWarn = (...args) => console.warn(`[${requestId}-preview]`, ...args);
     
     log("start /preview");
     
-    // Use provided template instead of templateDefinition
-    const customTemplate = template;
-    
-    // Load background from custom template, fallback to assets/background.png
-    let bgImage = null;
-    if (customTemplate?.background) {
-      const bgTemplatePath = resolvePlaceholders(customTemplate.background, data);
-      const resolvedBgPath = path.isAbsolute(bgTemplatePath)
-        ? bgTemplatePath
-        : path.join(__dirname, "..", bgTemplatePath);
-      try {
-        log("load-background: template path", resolvedBgPath);
-        bgImage = await loadImage(resolvedBgPath);
-        log("load-background: template path ok");
-      } catch (e) {
-        logWarn("load-background: template path failed, falling back to assets/background.png", e?.message || e);
-      }
-    }
-    if (!bgImage) {
-      const fallbackBg = path.join(assetsDir, "background.png");
-      log("load-background: fallback path", fallbackBg);
-      try {
-        bgImage = await loadImage(fallbackBg);
-        log("load-background: fallback ok");
-      } catch (bgErr) {
-        logWarn("Background image not found, creating default canvas");
-        // Create a default 1080x1080 white background if image fails
-        const defaultCanvas = createCanvas(1080, 1080);
-        const defaultCtx = defaultCanvas.getContext("2d");
-        defaultCtx.fillStyle = "#ffffff";
-        defaultCtx.fillRect(0, 0, 1080, 1080);
-        bgImage = defaultCanvas;
-      }
-    }
-
-    const width = bgImage.width || 1080;
-    const height = bgImage.height || 1080;
-    const canvas = createCanvas(width, height);
-    const ctx = canvas.getContext("2d");
-
-    // Draw background full-size
-    ctx.drawImage(bgImage, 0, 0, width, height);
-
-    // Render elements from custom template
-    if (customTemplate?.elements?.length) {
-      for (const element of customTemplate.elements) {
-        const type = element.type;
-        if (type === "image") {
-          const name = element.name || "image";
-          const x = element.x ?? 0;
-          const y = element.y ?? 0;
-          const w = element.width ?? 0;
-          const h = element.height ?? 0;
-          const sourceRaw = element.source ?? "";
-          const source = resolvePlaceholders(sourceRaw, data);
-
-          // Optional border for circular clip
-          const border = element.border || null;
-          const hasCircleClip = element.clip === "circle";
-
-          let imageObj = null;
-          if (source.startsWith("http://") || source.startsWith("https://")) {
-            log("element:image fetch", { name, url: source });
-            const resp = await fetch(source);
-            if (!resp.ok) {
-              throw new Error(`Failed to fetch image (${name}): ${resp.status}`);
-            }
-            const buf = Buffer.from(await resp.arrayBuffer());
-            imageObj = await loadImage(buf);
-            log("element:image load ok", { name });
-          } else {
-            const localPath = path.isAbsolute(source) ? source : path.join(__dirname, "..", source);
-            log("element:image load local", { name, path: localPath });
-            imageObj = await loadImage(localPath);
-            log("element:image load ok", { name });
-          }
-
-          if (hasCircleClip && border && border.width && border.color) {
-            ctx.beginPath();
-            ctx.arc(x + w / 2, y + h / 2, Math.min(w, h) / 2 + border.width / 2, 0, Math.PI * 2);
-            ctx.fillStyle = resolvePlaceholders(border.color, data) || "#000000";
-            ctx.fill();
-          }
-
-          ctx.save();
-          if (hasCircleClip) {
-            ctx.beginPath();
-            ctx.arc(x + w / 2, y + h / 2, Math.min(w, h) / 2, 0, Math.PI * 2);
-            ctx.closePath();
-            ctx.clip();
-          }
-          ctx.drawImage(imageObj, x, y, w, h);
-          ctx.restore();
-          log("element:image drawn", { name, x, y, w, h });
-        } else if (type === "rectangle") {
-          const name = element.name || "rectangle";
-          const x = element.x ?? 0;
-          const y = element.y ?? 0;
-          const w = element.width ?? 0;
-          const h = element.height ?? 0;
-          const radius = element.radius ?? 0;
-          const color = resolvePlaceholders(element.color ?? "#000000", data);
-          drawRoundedRect(ctx, x, y, w, h, radius);
-          ctx.fillStyle = color;
-          ctx.fill();
-          log("element:rectangle drawn", { name, x, y, w, h, radius, color });
-        } else if (type === "text") {
-          const name = element.name || "text";
-          const x = element.x ?? 0;
-          const y = element.y ?? 0;
-          const fontSize = element.fontSize ?? 24;
-          const color = resolvePlaceholders(element.color ?? "#000000", data);
-          const text = resolvePlaceholders(element.text ?? "", data);
-          const align = (element.align || "left").toLowerCase();
-          const fontFamilyRaw = element.font || "DB-Adman-X";
-          const fontFamily = resolvePlaceholders(fontFamilyRaw, data) || "DB-Adman-X";
-
-          ctx.font = `${fontSize}px ${fontFamily}`;
-          ctx.fillStyle = color;
-          ctx.textAlign = ["left", "right", "center"].includes(align) ? align : "left";
-          ctx.fillText(text, x, y);
-          log("element:text drawn", { name, x, y, fontSize, color, align, fontFamily });
-        }
-      }
-    }
+    const { canvas, report, animation } = await renderTemplate(applySize(template, size), data, {
+      log,
+      logWarn,
+      animate: isAnimated(output.format),
+    });
 
     // Convert canvas to base64
-    const buffer = canvas.toBuffer("image/png");
+    const { buffer, contentType } = await encodeImage(canvas, output, animation);
     const base64Image = buffer.toString('base64');
-    const dataUrl = `data:image/png;base64,${base64Image}`;
+    const dataUrl = `data:${contentType};base64,${base64Image}`;
 
     log("done", { imageSize: buffer.length, base64Length: base64Image.length });
-    return res.json({ image: dataUrl });
+    return res.json(dataErrors.length ? { image: dataUrl, report, dataErrors } : { image: dataUrl, report });
 
   } catch (err) {
+    if (err instanceof RenderError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
     console.error("[preview-unhandled]", err);
     res.status(500).send({ error: "Preview generation failed" });
   }
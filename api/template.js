@@ -1,27 +1,11 @@
-import path from "path";
-import fs from "fs/promises";
-import { fileURLToPath } from "url";
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-
-// Load template JSON
-const templatePath = path.join(process.cwd(), "templates", "template.json");
-let templateDefinition = null;
-
-async function loadTemplateDefinition() {
-  try {
-    const json = await fs.readFile(templatePath, "utf8");
-    templateDefinition = JSON.parse(json);
-  } catch (err) {
-    console.error("Failed to load template.json:", err);
-    templateDefinition = null;
-  }
-}
+import { DEFAULT_TEMPLATE_ID, getTemplate, saveTemplate } from "../lib/templates.js";
+import { validateTemplate } from "../lib/schema.js";
+import { describeContract } from "../lib/contract.js";
 
 export default async function handler(req, res) {
   // Enable CORS
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, OPTIONS');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, POST, OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
   
   if (req.method === 'OPTIONS') {
@@ -29,34 +13,38 @@ export default async function handler(req, res) {
   }
 
   if (req.method === 'GET') {
-    // Load template if not already loaded
-    if (!templateDefinition) {
-      await loadTemplateDefinition();
-    }
+    const templateDefinition = await getTemplate(DEFAULT_TEMPLATE_ID);
     
     if (!templateDefinition) {
       return res.status(500).json({ error: "Template not loaded" });
     }
+
+    // GET /api/template/placeholders (routed here as ?action=placeholders)
+    if (req.query?.action === 'placeholders') {
+      return res.json({ id: DEFAULT_TEMPLATE_ID, ...describeContract(templateDefinition) });
+    }
     
     return res.json(templateDefinition);
   }
 
+  // POST /api/template/validate (routed here as ?action=validate)
+  if (req.method === 'POST' && req.query?.action === 'validate') {
+    const errors = validateTemplate(req.body);
+    return res.json({ valid: errors.length === 0, errors });
+  }
+
   if (req.method === 'PUT') {
     try {
       const newTemplate = req.body;
       
-      // Basic validation
-      if (!newTemplate || !newTemplate.elements || !Array.isArray(newTemplate.elements)) {
-        return res.status(400).json({ error: "Invalid template format" });
+      const errors = validateTemplate(newTemplate);
+      if (errors.length) {
+        return res.status(400).json({ error: "Invalid template", errors });
       }
       
-      // Save to file
-      await fs.writeFile(templatePath, JSON.stringify(newTemplate, null, 2));
-      
-      // Update in-memory template
-      templateDefinition = newTemplate;
+      const { revision } = await saveTemplate(DEFAULT_TEMPLATE_ID, newTemplate);
       
-      return res.json({ success: true, message: "Template updated successfully" });
+      return res.json({ success: true, revision, message: "Template updated successfully" });
     } catch (err) {
       console.error("Failed to update template:", err);
       return res.status(500).json({ error: "Failed to update template" });
@@ -0,0 +1,85 @@
+import {
+  DEFAULT_TEMPLATE_ID,
+  isValidTemplateId,
+  listTemplates,
+  getTemplate,
+  templateExists,
+  saveTemplate,
+  deleteTemplate,
+} from "../lib/templates.js";
+import { validateTemplate } from "../lib/schema.js";
+
+// /api/templates and /api/templates/:id (the id arrives as ?id= via vercel.json)
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const id = req.query?.id;
+
+  try {
+    if (!id) {
+      if (req.method === 'GET') {
+        return res.json({ templates: await listTemplates() });
+      }
+
+      if (req.method === 'POST') {
+        const { id: newId, ...newTemplate } = req.body || {};
+        if (!isValidTemplateId(newId)) {
+          return res.status(400).json({ error: "Template id must be 1-64 letters, digits, '-' or '_'" });
+        }
+        const errors = validateTemplate(newTemplate);
+        if (errors.length) {
+          return res.status(400).json({ error: "Invalid template", errors });
+        }
+        if (await templateExists(newId)) {
+          return res.status(409).json({ error: `Template '${newId}' already exists` });
+        }
+        const { revision } = await saveTemplate(newId, newTemplate, { message: "Created" });
+        return res.status(201).json({ success: true, id: newId, revision, message: "Template created successfully" });
+      }
+
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (req.method === 'GET') {
+      const template = await getTemplate(id);
+      if (!template) {
+        return res.status(404).json({ error: `Template '${id}' not found` });
+      }
+      return res.json(template);
+    }
+
+    if (req.method === 'PUT') {
+      if (!(await templateExists(id))) {
+        return res.status(404).json({ error: `Template '${id}' not found` });
+      }
+      const errors = validateTemplate(req.body);
+      if (errors.length) {
+        return res.status(400).json({ error: "Invalid template", errors });
+      }
+      const { revision } = await saveTemplate(id, req.body);
+      return res.json({ success: true, id, revision, message: "Template updated successfully" });
+    }
+
+    if (req.method === 'DELETE') {
+      if (id === DEFAULT_TEMPLATE_ID) {
+        return res.status(400).json({ error: "The default template cannot be deleted" });
+      }
+      if (!isValidTemplateId(id) || !(await deleteTemplate(id))) {
+        return res.status(404).json({ error: `Template '${id}' not found` });
+      }
+      return res.json({ success: true, id, message: "Template deleted successfully" });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (err) {
+    console.error("Template registry request failed:", err);
+    return res.status(500).json({ error: "Template registry request failed" });
+  }
+}
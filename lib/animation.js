@@ -0,0 +1,173 @@
+// Animated output (format "gif" or "webp-animated"). The template's "animation"
+// block sets the timeline and an optional confetti layer:
+//   "animation": { "duration": 2000, "fps": 12, "loop": 0, "hold": 1500,
+//                  "confetti": { "count": 120, "colors": ["#FFD700", "#E74C3C"], "layer": "front" } }
+// and elements animate with keyframes over their own slice of it:
+//   "animation": { "delay": 300, "duration": 600, "easing": "ease-out",
+//                  "keyframes": [{ "at": 0, "offsetY": 80, "opacity": 0 }, { "at": 1, "offsetY": 0, "opacity": 1 }] }
+// "at" runs from 0 to 1 over the element's duration; offsetX/offsetY move the
+// element, scale grows it around its centre and opacity fades it. The last
+// keyframe should be the element's resting state, which is what still formats draw.
+// Only top-level elements animate; a repeat group animates as a whole.
+
+export const EASINGS = ["linear", "ease-in", "ease-out", "ease-in-out"];
+export const CONFETTI_LAYERS = ["front", "back"];
+
+const DEFAULT_DURATION = 2000;
+const DEFAULT_FPS = 12;
+const DEFAULT_HOLD = 1000;
+// Every frame is a full canvas draw and encode, so these bound the render time
+const MAX_FPS = Number(process.env.ANIMATION_MAX_FPS) || 20;
+const MAX_FRAMES = Number(process.env.ANIMATION_MAX_FRAMES) || 48;
+const MAX_CONFETTI = 300;
+
+const defaultConfettiColors = ["#FFD700", "#E74C3C", "#3498DB", "#2ECC71", "#9B59B6", "#FFFFFF"];
+const restingState = { offsetX: 0, offsetY: 0, opacity: 1, scale: 1 };
+
+const easings = {
+  linear: (t) => t,
+  "ease-in": (t) => t * t,
+  "ease-out": (t) => 1 - (1 - t) * (1 - t),
+  "ease-in-out": (t) => (t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t)),
+};
+
+// Frame times and delays for a template's animation block. fps is lowered when
+// the duration would need more than MAX_FRAMES frames.
+export function frameTimeline(animation = {}) {
+  const duration = animation.duration ?? DEFAULT_DURATION;
+  const requestedFps = animation.fps ?? DEFAULT_FPS;
+  let fps = Math.min(requestedFps, MAX_FPS);
+  let count = Math.max(1, Math.round((duration / 1000) * fps));
+  if (count > MAX_FRAMES) {
+    count = MAX_FRAMES;
+    fps = (count / duration) * 1000;
+  }
+
+  const step = count > 1 ? duration / (count - 1) : 0;
+  const times = Array.from({ length: count }, (_, i) => Math.round(i * step));
+  const delays = times.map(() => Math.round(1000 / fps));
+  delays[delays.length - 1] += animation.hold ?? DEFAULT_HOLD;
+
+  return {
+    duration,
+    fps: Math.round(fps * 100) / 100,
+    times,
+    delays,
+    loop: animation.loop ?? 0,
+    capped: fps !== requestedFps,
+  };
+}
+
+// Value of one property at progress t (0-1) from the keyframes that set it
+function interpolate(keyframes, property, t, easing) {
+  const stops = keyframes.filter((frame) => frame[property] !== undefined).sort((a, b) => a.at - b.at);
+  if (!stops.length) return restingState[property];
+  if (t <= stops[0].at) return stops[0][property];
+  for (let i = 1; i < stops.length; i++) {
+    const from = stops[i - 1];
+    const to = stops[i];
+    if (t <= to.at) {
+      const span = to.at - from.at;
+      const local = span > 0 ? easing((t - from.at) / span) : 1;
+      return from[property] + (to[property] - from[property]) * local;
+    }
+  }
+  return stops[stops.length - 1][property];
+}
+
+// { offsetX, offsetY, opacity, scale } of an element animation at `time` ms
+export function animationState(animation, time, totalDuration) {
+  const delay = animation.delay ?? 0;
+  const duration = animation.duration ?? Math.max(1, totalDuration - delay);
+  const t = Math.min(1, Math.max(0, (time - delay) / duration));
+  const easing = easings[animation.easing] || easings.linear;
+  const keyframes = animation.keyframes || [];
+  return Object.fromEntries(
+    Object.keys(restingState).map((property) => [property, interpolate(keyframes, property, t, easing)])
+  );
+}
+
+// Point an element scales around: the centre of its box, or its anchor
+export function elementPivot(element) {
+  const x = element.x ?? 0;
+  const y = element.y ?? 0;
+  if (element.type === "line") return { x: (x + (element.x2 ?? x)) / 2, y: (y + (element.y2 ?? y)) / 2 };
+  if (element.width !== undefined && element.height !== undefined) {
+    return { x: x + element.width / 2, y: y + element.height / 2 };
+  }
+  return { x, y };
+}
+
+// Draws a pre-rendered layer with its element's animation applied
+export function paintLayer(ctx, layer, time, totalDuration) {
+  if (!layer.animation) {
+    ctx.drawImage(layer.canvas, 0, 0);
+    return;
+  }
+  const { offsetX, offsetY, opacity, scale } = animationState(layer.animation, time, totalDuration);
+  if (opacity <= 0 || scale <= 0) return;
+
+  const pivot = elementPivot(layer.element);
+  ctx.save();
+  ctx.globalAlpha = Math.min(1, opacity);
+  ctx.translate(pivot.x + offsetX, pivot.y + offsetY);
+  ctx.scale(scale, scale);
+  ctx.translate(-pivot.x, -pivot.y);
+  ctx.drawImage(layer.canvas, 0, 0);
+  ctx.restore();
+}
+
+// Small seeded generator so the same template always throws the same confetti
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Particles for the confetti layer; null when the template has none
+export function createConfetti(confetti, width, height, duration) {
+  if (!confetti) return null;
+  const random = mulberry32(confetti.seed ?? 1);
+  const colors = confetti.colors?.length ? confetti.colors : defaultConfettiColors;
+  const count = Math.min(confetti.count ?? 120, MAX_CONFETTI);
+  const seconds = Math.max(duration, 1) / 1000;
+
+  const particles = Array.from({ length: count }, () => ({
+    x: random() * width,
+    // Start spread out above the top edge so the fall is continuous
+    y: -random() * height,
+    // Fast enough to clear the canvas over the animation
+    speed: (height * (1 + random())) / seconds,
+    sway: 10 + random() * 30,
+    swaySpeed: 2 + random() * 4,
+    phase: random() * Math.PI * 2,
+    spin: (random() - 0.5) * 12,
+    width: 8 + random() * 10,
+    height: 4 + random() * 6,
+    color: colors[Math.floor(random() * colors.length)],
+  }));
+  return { layer: confetti.layer || "front", height, particles };
+}
+
+export function drawConfetti(ctx, confetti, time) {
+  const seconds = time / 1000;
+  for (const particle of confetti.particles) {
+    const y = particle.y + particle.speed * seconds;
+    if (y < -particle.width || y > confetti.height + particle.width) continue;
+    const x = particle.x + Math.sin(particle.phase + particle.swaySpeed * seconds) * particle.sway;
+
+    ctx.save();
+    ctx.translate(x, y);
+    ctx.rotate(particle.phase + particle.spin * seconds);
+    // Flipping pieces: the visible height shrinks and grows as they turn
+    ctx.scale(1, Math.cos(particle.phase + particle.spin * seconds * 0.7));
+    ctx.fillStyle = particle.color;
+    ctx.fillRect(-particle.width / 2, -particle.height / 2, particle.width, particle.height);
+    ctx.restore();
+  }
+}
@@ -0,0 +1,57 @@
+import { createWriteStream } from "fs";
+import archiver from "archiver";
+
+// Helpers for POST /render/batch: a small worker pool and ZIP packaging.
+
+// Runs worker(item, index) over items with at most `limit` running at once.
+// Results keep the input order; a worker that throws does not stop the others.
+export async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function run() {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { value: await worker(items[index], index) };
+      } catch (error) {
+        results[index] = { error };
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, run));
+  return results;
+}
+
+// Writes a ZIP of [{ name, content }] entries and resolves to its size in bytes.
+// content may be a function returning (a promise of) the data; those are called
+// one entry at a time, so only one file is held in memory while the archive is built.
+export async function writeZip(filePath, entries) {
+  const output = createWriteStream(filePath);
+  // Rendered images are already compressed, so entries are stored as they are
+  const archive = archiver("zip", { zlib: { level: 0 } });
+  const finished = new Promise((resolve, reject) => {
+    output.on("close", () => resolve(archive.pointer()));
+    archive.on("error", reject);
+    output.on("error", reject);
+  });
+
+  archive.pipe(output);
+  try {
+    for (const entry of entries) {
+      const content = typeof entry.content === "function" ? await entry.content() : entry.content;
+      if (content === null || content === undefined) throw new Error(`No content for ${entry.name}`);
+      const added = new Promise((resolve) => archive.once("entry", resolve));
+      archive.append(content, { name: entry.name });
+      await Promise.race([added, finished]);
+    }
+  } catch (err) {
+    finished.catch(() => {});
+    archive.abort();
+    output.destroy();
+    throw err;
+  }
+  archive.finalize();
+  return finished;
+}
@@ -0,0 +1,226 @@
+import { ExpressionError, isBlank as isBlankValue, lexer, parseValue, toNumber } from "./expr.js";
+import { getPath } from "./placeholders.js";
+
+// "visibleIf" conditions. An element with a condition is only drawn when the
+// condition holds for the request data. Conditions are parsed here and never eval'd:
+//   rank == 1
+//   rank_name                          truthy: not missing, "", 0, false or an empty list
+//   not is_previous_champion
+//   rank in [1, 2, 3] and rank_name != "Trainee"
+//   (rank <= 3 or sales_amount >= 1000000) and avatar_url
+//   "gold" in badges                   membership in a data array (or substring of a string)
+// Operators: == != > >= < <=, in, not in, and/&&, or/||, not/!, parentheses.
+// Numbers and numeric strings compare as numbers, everything else as text.
+
+const tokenize = lexer(String.raw`==|!=|>=|<=|&&|\|\||[<>!()[\],.]`);
+
+const comparisons = ["==", "!=", ">", ">=", "<", "<="];
+
+function parse(source) {
+  const tokens = tokenize(source);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isPunct = (value) => peek()?.type === "punct" && peek().value === value;
+  const isWord = (value) => peek()?.type === "ident" && peek().value === value;
+  const expect = (value) => {
+    if (!isPunct(value)) throw new ExpressionError(`expected '${value}'`);
+    pos++;
+  };
+
+  function parseOr() {
+    let node = parseAnd();
+    while (isWord("or") || isPunct("||")) {
+      pos++;
+      node = { type: "or", left: node, right: parseAnd() };
+    }
+    return node;
+  }
+
+  function parseAnd() {
+    let node = parseNot();
+    while (isWord("and") || isPunct("&&")) {
+      pos++;
+      node = { type: "and", left: node, right: parseNot() };
+    }
+    return node;
+  }
+
+  function parseNot() {
+    if (isWord("not") || isPunct("!")) {
+      pos++;
+      return { type: "not", operand: parseNot() };
+    }
+    return parseComparison();
+  }
+
+  function parseComparison() {
+    const left = parseOperand();
+    const token = peek();
+    if (token?.type === "punct" && comparisons.includes(token.value)) {
+      pos++;
+      return { type: "compare", op: token.value, left, right: parseOperand() };
+    }
+    if (isWord("in")) {
+      pos++;
+      return { type: "in", left, right: parseOperand(), negate: false };
+    }
+    if (isWord("not") && tokens[pos + 1]?.type === "ident" && tokens[pos + 1].value === "in") {
+      pos += 2;
+      return { type: "in", left, right: parseOperand(), negate: true };
+    }
+    return left;
+  }
+
+  function parseOperand() {
+    if (isPunct("(")) {
+      pos++;
+      const node = parseOr();
+      expect(")");
+      return node;
+    }
+    if (isPunct("[")) {
+      pos++;
+      const items = [];
+      while (!isPunct("]")) {
+        if (items.length) expect(",");
+        items.push(parseOperand());
+      }
+      pos++;
+      return { type: "list", items };
+    }
+
+    const token = peek();
+    if (token?.type === "ident" && ["and", "or", "not", "in"].includes(token.value)) {
+      throw new ExpressionError(`unexpected '${token.value}'`);
+    }
+    let node;
+    [node, pos] = parseValue(tokens, pos);
+    return node;
+  }
+
+  if (!tokens.length) throw new ExpressionError("empty condition");
+  const node = parseOr();
+  if (pos < tokens.length) throw new ExpressionError(`unexpected '${tokens[pos].value}'`);
+  return node;
+}
+
+const compiled = new Map();
+
+export function parseCondition(source) {
+  if (!compiled.has(source)) {
+    if (compiled.size > 1000) compiled.clear();
+    compiled.set(source, parse(source));
+  }
+  return compiled.get(source);
+}
+
+// Whitespace-only text counts as blank in conditions
+function isBlank(value) {
+  return isBlankValue(value, { trim: true });
+}
+
+function truthy(value) {
+  if (isBlank(value) || value === false || value === 0 || Number.isNaN(value)) return false;
+  if (Array.isArray(value)) return value.length > 0;
+  return true;
+}
+
+function looseEqual(a, b) {
+  if (isBlank(a) || isBlank(b)) return isBlank(a) && isBlank(b);
+  const [x, y] = [toNumber(a), toNumber(b)];
+  if (x !== null && y !== null) return x === y;
+  return String(a) === String(b);
+}
+
+function compare(op, a, b) {
+  if (op === "==") return looseEqual(a, b);
+  if (op === "!=") return !looseEqual(a, b);
+  if (isBlank(a) || isBlank(b)) return false;
+  const [x, y] = [toNumber(a), toNumber(b)];
+  const [left, right] = x !== null && y !== null ? [x, y] : [String(a), String(b)];
+  if (op === ">") return left > right;
+  if (op === ">=") return left >= right;
+  if (op === "<") return left < right;
+  return left <= right;
+}
+
+function contains(collection, value) {
+  if (Array.isArray(collection)) return collection.some((item) => looseEqual(item, value));
+  if (typeof collection === "string") return !isBlank(value) && collection.includes(String(value));
+  return false;
+}
+
+function evaluate(node, data) {
+  switch (node.type) {
+    case "or":
+      return truthy(evaluate(node.left, data)) || truthy(evaluate(node.right, data));
+    case "and":
+      return truthy(evaluate(node.left, data)) && truthy(evaluate(node.right, data));
+    case "not":
+      return !truthy(evaluate(node.operand, data));
+    case "compare":
+      return compare(node.op, evaluate(node.left, data), evaluate(node.right, data));
+    case "in": {
+      const found = contains(evaluate(node.right, data), evaluate(node.left, data));
+      return node.negate ? !found : found;
+    }
+    case "list":
+      return node.items.map((item) => evaluate(item, data));
+    case "literal":
+      return node.value;
+    case "path":
+      return getPath(data, node.path);
+  }
+}
+
+export function evaluateCondition(source, data) {
+  return truthy(evaluate(parseCondition(source), data || {}));
+}
+
+// Syntax problems in a condition, as messages
+export function conditionErrors(source) {
+  try {
+    parseCondition(source);
+    return [];
+  } catch (err) {
+    if (!(err instanceof ExpressionError)) throw err;
+    return [`invalid condition '${source}': ${err.message}`];
+  }
+}
+
+function collectPaths(node, out) {
+  if (node.type === "path") out.push(node.path);
+  for (const child of [node.left, node.right, node.operand, ...(node.items || [])]) {
+    if (child) collectPaths(child, out);
+  }
+  return out;
+}
+
+// Data paths a condition reads, as arrays of keys
+export function conditionPaths(source) {
+  try {
+    return collectPaths(parseCondition(source), []);
+  } catch {
+    return [];
+  }
+}
+
+// null when the element should be drawn, otherwise why it is skipped:
+// { element, reason, condition, values } with the data values the condition read
+export function checkVisibility(element, data) {
+  const condition = element?.visibleIf;
+  if (condition === undefined) return null;
+  const name = element.name || element.type;
+
+  try {
+    if (evaluateCondition(condition, data)) return null;
+  } catch (err) {
+    if (!(err instanceof ExpressionError)) throw err;
+    return { element: name, reason: `invalid visibleIf: ${err.message}`, condition };
+  }
+  const values = {};
+  for (const path of conditionPaths(condition)) {
+    values[path.join(".")] = getPath(data, path) ?? null;
+  }
+  return { element: name, reason: "visibleIf is false", condition, values };
+}
@@ -0,0 +1,114 @@
+import { isColor } from "./schema.js";
+import { isBlank } from "./expr.js";
+import { applyLookups, lookupVariables } from "./lookups.js";
+import { findPlaceholders } from "./placeholders.js";
+
+// Per-template data contract. A template may declare the inputs it expects:
+//   "inputs": [{ "name": "sales_name", "type": "string", "required": true, "default": "" }]
+// Declared inputs are type-checked and defaulted before rendering; keys the
+// template does not declare are passed through untouched.
+
+// Returns { value } with the coerced value, or { error } describing why it was rejected
+export function coerceInput(type, value) {
+  switch (type) {
+    case "string":
+      if (typeof value === "string") return { value };
+      if (typeof value === "number" && Number.isFinite(value)) return { value: String(value) };
+      return { error: "must be a string" };
+    case "number": {
+      const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+      if (typeof number === "number" && Number.isFinite(number)) return { value: number };
+      return { error: "must be a number" };
+    }
+    case "color":
+      if (typeof value === "string" && isColor(value)) return { value: value.trim() };
+      return { error: "must be a color such as #FFAA00 or rgb(255, 170, 0)" };
+    case "url":
+      try {
+        const url = new URL(value);
+        if (url.protocol === "http:" || url.protocol === "https:") return { value };
+      } catch {
+        // fall through to the error below
+      }
+      return { error: "must be an http(s) URL" };
+    case "array":
+      if (Array.isArray(value)) return { value };
+      return { error: "must be a list" };
+    default:
+      return { value };
+  }
+}
+
+// Checks render data against the template's declared inputs, after the
+// template's lookups have filled in their variables (see lookups.js).
+// Returns { data, errors, lookups }: data has defaults applied and values coerced,
+// errors lists [{ field, problem: "missing" | "invalid", message }].
+export function applyContract(template, input) {
+  const { data, applied } = applyLookups(template, input);
+  const errors = [];
+
+  for (const spec of template?.inputs || []) {
+    const { name, type = "string" } = spec;
+    let value = data[name];
+
+    if (isBlank(value)) {
+      if (spec.default !== undefined) {
+        value = spec.default;
+      } else {
+        if (spec.required) {
+          errors.push({ field: name, problem: "missing", message: `'${name}' is required` });
+        }
+        continue;
+      }
+    }
+
+    const result = coerceInput(type, value);
+    if (result.error) {
+      errors.push({ field: name, problem: "invalid", message: `'${name}' ${result.error}`, value });
+      continue;
+    }
+    data[name] = result.value;
+  }
+
+  return { data, errors, lookups: applied };
+}
+
+// Describes the data a template needs: every placeholder it uses, joined with
+// what the inputs block says about it
+export function describeContract(template) {
+  const used = findPlaceholders(template);
+  (template?.lookups || []).forEach((lookup, i) => {
+    if (typeof lookup?.key !== "string") return;
+    const key = lookup.key.split(".")[0];
+    if (!used.has(key)) used.set(key, []);
+    used.get(key).push({
+      element: null,
+      path: `$.lookups[${i}].key`,
+      expression: lookup.key,
+      ...(key !== lookup.key ? { dataPath: lookup.key } : {}),
+    });
+  });
+  const fromLookups = lookupVariables(template);
+  const declared = new Map((template?.inputs || []).map((spec) => [spec.name, spec]));
+  const names = [...new Set([...declared.keys(), ...used.keys()])];
+
+  const placeholders = names.map((name) => {
+    const spec = declared.get(name);
+    return {
+      name,
+      declared: Boolean(spec),
+      type: spec?.type ?? "string",
+      required: Boolean(spec?.required),
+      ...(spec?.default !== undefined ? { default: spec.default } : {}),
+      ...(spec?.description ? { description: spec.description } : {}),
+      ...(fromLookups.has(name) ? { lookup: fromLookups.get(name) } : {}),
+      usedIn: used.get(name) || [],
+    };
+  });
+
+  return {
+    placeholders,
+    undeclared: names.filter((name) => !declared.has(name) && !fromLookups.has(name)),
+    unused: names.filter((name) => declared.has(name) && !used.has(name)),
+  };
+}
@@ -0,0 +1,5 @@
+import path from "path";
+
+// Where runtime state is written: job files and retention tombstones.
+// DATA_DIR moves it; the default data/ folder is git-ignored.
+export const dataDir = process.env.DATA_DIR || path.join(process.cwd(), "data");
@@ -0,0 +1,10 @@
+// Errors raised while rendering that are the caller's fault. They carry the
+// HTTP status the request should fail with and extra fields for the JSON body.
+export class RenderError extends Error {
+  constructor(message, { status = 422, details = {} } = {}) {
+    super(message);
+    this.name = "RenderError";
+    this.status = status;
+    this.details = details;
+  }
+}
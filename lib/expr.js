@@ -0,0 +1,86 @@
+// Pieces shared by the two small expression languages: {{ }} placeholders
+// (lib/placeholders.js) and visibleIf conditions (lib/conditions.js). Both
+// use the same tokens, the same literals and data paths (rep.name,
+// entries[0].name, entries["key"]) and the same blank/number coercions;
+// only their operators differ.
+
+export class ExpressionError extends Error {}
+
+// A tokenizer for identifiers, numbers, quoted strings and the operators in
+// `punctuation` (a regex alternation, longest operators first)
+export function lexer(punctuation) {
+  const pattern = new RegExp(
+    String.raw`\s*(?:([A-Za-z_][\w]*)|(-?\d+(?:\.\d+)?)|"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|(${punctuation}))`,
+    "y"
+  );
+
+  return function tokenize(source) {
+    const tokens = [];
+    let index = 0;
+    while (index < source.length) {
+      if (!source.slice(index).trim()) break;
+      pattern.lastIndex = index;
+      const match = pattern.exec(source);
+      if (!match) {
+        throw new ExpressionError(`unexpected character '${source.slice(index).trim()[0]}'`);
+      }
+      index = pattern.lastIndex;
+      const [, ident, number, dq, sq, punct] = match;
+      if (ident !== undefined) tokens.push({ type: "ident", value: ident });
+      else if (number !== undefined) tokens.push({ type: "number", value: Number(number) });
+      else if (dq !== undefined || sq !== undefined) {
+        tokens.push({ type: "string", value: (dq ?? sq).replace(/\\(.)/g, "$1") });
+      } else tokens.push({ type: "punct", value: punct });
+    }
+    return tokens;
+  };
+}
+
+// A literal or a data path starting at tokens[pos], as [node, next pos]
+export function parseValue(tokens, pos) {
+  const isPunct = (value) => tokens[pos]?.type === "punct" && tokens[pos].value === value;
+
+  const token = tokens[pos++];
+  if (!token) throw new ExpressionError("expected a value");
+  if (token.type === "string" || token.type === "number") {
+    return [{ type: "literal", value: token.value }, pos];
+  }
+  if (token.type !== "ident") throw new ExpressionError(`unexpected '${token.value}'`);
+  if (token.value === "true" || token.value === "false") {
+    return [{ type: "literal", value: token.value === "true" }, pos];
+  }
+  if (token.value === "null") return [{ type: "literal", value: null }, pos];
+
+  const path = [token.value];
+  while (isPunct(".") || isPunct("[")) {
+    if (isPunct(".")) {
+      pos++;
+      const next = tokens[pos++];
+      if (next?.type !== "ident") throw new ExpressionError("expected a property name after '.'");
+      path.push(next.value);
+    } else {
+      pos++;
+      const next = tokens[pos++];
+      if (next?.type !== "number" && next?.type !== "string") {
+        throw new ExpressionError("expected an index inside '[ ]'");
+      }
+      path.push(next.value);
+      if (!isPunct("]")) throw new ExpressionError("expected ']'");
+      pos++;
+    }
+  }
+  return [{ type: "path", path }, pos];
+}
+
+// Missing, null or "". trim: true also counts whitespace-only strings.
+export function isBlank(value, { trim = false } = {}) {
+  if (value === undefined || value === null) return true;
+  return typeof value === "string" && (trim ? !value.trim() : value === "");
+}
+
+// The value as a number when it is one or a numeric string, otherwise null
+export function toNumber(value) {
+  if (typeof value === "number") return value;
+  if (typeof value === "string" && value.trim() !== "" && Number.isFinite(Number(value))) return Number(value);
+  return null;
+}
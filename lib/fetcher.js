@@ -0,0 +1,358 @@
+import os from "os";
+import path from "path";
+import fs from "fs/promises";
+import crypto from "crypto";
+import fetch from "node-fetch";
+import { RenderError } from "./errors.js";
+import { SourceRejectedError, checkRemoteUrl, resolveLocalPath, sandboxAgent } from "./sandbox.js";
+
+// Loads image sources for image elements and backgrounds, within the limits
+// lib/sandbox.js sets. Remote sources go through one fetcher with limits,
+// retries and an on-disk cache:
+//   ASSET_CONNECT_TIMEOUT_MS  until the response headers arrive (default 5000)
+//   ASSET_READ_TIMEOUT_MS     longest pause while reading the body (default 10000)
+//   ASSET_DOWNLOAD_TIMEOUT_MS longest a single attempt may take, start to end (default 30000)
+//   ASSET_TOTAL_TIMEOUT_MS    longest all attempts and backoff together may take (default 60000)
+//   ASSET_MAX_MB              largest accepted download (default 10)
+//   ASSET_RETRIES             extra attempts after network errors, timeouts,
+//                             429 and 5xx, with exponential backoff (default 2)
+//   ASSET_CACHE_DIR           where downloads are kept (default <tmp>/celebration-asset-cache)
+//   ASSET_CACHE_MAX_MB        cache budget; least recently used entries go first (default 256)
+// Cached copies are reused while Cache-Control max-age allows and revalidated
+// with If-None-Match / If-Modified-Since afterwards. When revalidation fails
+// the stale copy is used rather than failing the render. Downloads must look
+// like an image (PNG, JPEG, GIF, WebP, AVIF or SVG) whatever Content-Type says.
+// Redirects are followed by hand (at most 5) so every hop passes the sandbox.
+// Failures are RenderErrors: 400 when the sandbox rejects the source, 422 when
+// the source itself is bad (4xx, too large, not an image, missing file), 502
+// when it could not be reached.
+
+const MB = 1024 * 1024;
+
+function setting(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== "" && Number.isFinite(value) ? value : fallback;
+}
+
+const CONNECT_TIMEOUT_MS = setting("ASSET_CONNECT_TIMEOUT_MS", 5000);
+const READ_TIMEOUT_MS = setting("ASSET_READ_TIMEOUT_MS", 10000);
+const DOWNLOAD_TIMEOUT_MS = setting("ASSET_DOWNLOAD_TIMEOUT_MS", 30000);
+const TOTAL_TIMEOUT_MS = setting("ASSET_TOTAL_TIMEOUT_MS", 60000);
+const MAX_BYTES = setting("ASSET_MAX_MB", 10) * MB;
+const RETRIES = setting("ASSET_RETRIES", 2);
+const RETRY_BASE_MS = 250;
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const CACHE_MAX_BYTES = setting("ASSET_CACHE_MAX_MB", 256) * MB;
+const cacheDir = process.env.ASSET_CACHE_DIR || path.join(os.tmpdir(), "celebration-asset-cache");
+
+const stats = { hits: 0, revalidated: 0, misses: 0, stale: 0, retries: 0, errors: 0, downloadedBytes: 0 };
+// key -> { url, etag, lastModified, freshUntil, contentType, size, usedAt }
+let index = null;
+const inflight = new Map();
+
+class AssetError extends RenderError {
+  constructor(message, { status = 422, source, retryable = false } = {}) {
+    super(message, { status, details: { source } });
+    this.retryable = retryable;
+  }
+}
+
+export function isRemoteSource(source) {
+  return source.startsWith("http://") || source.startsWith("https://");
+}
+
+// Image type from the first bytes, or null
+export function sniffImageType(buffer) {
+  const ascii = (start, end) => buffer.subarray(start, end).toString("latin1");
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47) return "image/png";
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return "image/jpeg";
+  if (ascii(0, 6) === "GIF87a" || ascii(0, 6) === "GIF89a") return "image/gif";
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") return "image/webp";
+  if (ascii(4, 8) === "ftyp" && ["avif", "avis"].includes(ascii(8, 12))) return "image/avif";
+  const head = buffer.subarray(0, 512).toString("utf8").trimStart();
+  if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg[\s>]/i.test(head)) return "image/svg+xml";
+  return null;
+}
+
+function cacheKey(url) {
+  return crypto.createHash("sha256").update(url).digest("hex");
+}
+
+const bodyFile = (key) => path.join(cacheDir, key);
+const metaFile = (key) => path.join(cacheDir, `${key}.json`);
+
+async function loadIndex() {
+  if (index) return index;
+  index = new Map();
+  await fs.mkdir(cacheDir, { recursive: true });
+  for (const name of await fs.readdir(cacheDir)) {
+    if (!name.endsWith(".json")) continue;
+    try {
+      const meta = JSON.parse(await fs.readFile(path.join(cacheDir, name), "utf8"));
+      const { mtimeMs } = await fs.stat(bodyFile(name.slice(0, -5)));
+      index.set(name.slice(0, -5), { ...meta, usedAt: mtimeMs });
+    } catch {
+      // half-written or orphaned entry; it is replaced on the next download
+    }
+  }
+  return index;
+}
+
+async function readCached(key) {
+  try {
+    return await fs.readFile(bodyFile(key));
+  } catch {
+    index.delete(key);
+    return null;
+  }
+}
+
+async function dropEntry(key) {
+  index.delete(key);
+  await fs.rm(metaFile(key), { force: true });
+  await fs.rm(bodyFile(key), { force: true });
+}
+
+// Least recently used entries go until the cache fits its budget
+async function prune() {
+  let total = [...index.values()].reduce((sum, entry) => sum + entry.size, 0);
+  const oldest = [...index.entries()].sort(([, a], [, b]) => a.usedAt - b.usedAt);
+  for (const [key, entry] of oldest) {
+    if (total <= CACHE_MAX_BYTES) break;
+    await dropEntry(key);
+    total -= entry.size;
+  }
+}
+
+// Whether a response may be kept and for how many seconds it is fresh (Cache-Control)
+function cachePolicy(headers) {
+  const control = (headers.get("cache-control") || "").toLowerCase();
+  if (control.includes("no-store")) return { store: false, maxAge: 0 };
+  const maxAge = control.includes("no-cache") ? 0 : Number(/max-age=(\d+)/.exec(control)?.[1] ?? 0);
+  return { store: true, maxAge };
+}
+
+async function storeEntry(key, url, resp, body, contentType) {
+  const { store, maxAge } = cachePolicy(resp.headers);
+  const etag = resp.headers.get("etag");
+  const lastModified = resp.headers.get("last-modified");
+  // Nothing to revalidate with and nothing fresh to reuse: not worth keeping
+  if (!store || (!etag && !lastModified && !maxAge)) return;
+
+  const meta = { url, etag, lastModified, freshUntil: Date.now() + maxAge * 1000, contentType, size: body.length };
+  await fs.writeFile(bodyFile(key), body);
+  await fs.writeFile(`${metaFile(key)}.tmp`, JSON.stringify(meta));
+  await fs.rename(`${metaFile(key)}.tmp`, metaFile(key));
+  index.set(key, { ...meta, usedAt: Date.now() });
+  await prune();
+}
+
+// One GET with the connect/read timeouts, the byte cap and an overall limit
+// that ends at `deadline` at the latest. The read timeout alone would let a
+// host that trickles bytes hold the render until MAX_BYTES.
+async function download(url, headers, name, deadline) {
+  const controller = new AbortController();
+  let phase = "connect";
+  let timer = null;
+  const arm = (ms) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => controller.abort(), ms);
+  };
+  const limit = Math.max(0, Math.min(DOWNLOAD_TIMEOUT_MS, deadline - Date.now()));
+  let expired = false;
+  const overall = setTimeout(() => {
+    expired = true;
+    controller.abort();
+  }, limit);
+  const tooLarge = () => new AssetError(`Image '${name}' is larger than ${MAX_BYTES / MB} MB`, { source: url });
+
+  let current = url;
+  arm(CONNECT_TIMEOUT_MS);
+  try {
+    let resp;
+    for (let hop = 0; ; hop++) {
+      checkRemoteUrl(current);
+      resp = await fetch(current, { headers, signal: controller.signal, redirect: "manual", agent: sandboxAgent });
+      const location = resp.headers.get("location");
+      if (!REDIRECT_STATUSES.includes(resp.status) || !location) break;
+      resp.body?.resume?.();
+      if (hop >= MAX_REDIRECTS) {
+        throw new AssetError(`Image '${name}' redirected more than ${MAX_REDIRECTS} times`, { source: url });
+      }
+      current = new URL(location, current).href;
+    }
+    if (resp.status === 304 || !resp.ok) {
+      resp.body?.resume?.();
+      return { resp, body: null };
+    }
+    if (Number(resp.headers.get("content-length")) > MAX_BYTES) {
+      controller.abort();
+      throw tooLarge();
+    }
+
+    phase = "read";
+    arm(READ_TIMEOUT_MS);
+    const chunks = [];
+    let bytes = 0;
+    for await (const chunk of resp.body) {
+      bytes += chunk.length;
+      if (bytes > MAX_BYTES) {
+        controller.abort();
+        throw tooLarge();
+      }
+      chunks.push(chunk);
+      arm(READ_TIMEOUT_MS);
+    }
+    return { resp, body: Buffer.concat(chunks) };
+  } catch (err) {
+    if (err instanceof RenderError) throw err;
+    if (err.code === "ESOURCEREJECTED") {
+      throw new SourceRejectedError(current, `${new URL(current).hostname} does not resolve to a public address`);
+    }
+    const timedOut = controller.signal.aborted;
+    let message = `Image '${name}' could not be fetched: ${err.message}`;
+    if (expired) message = `Image '${name}' did not finish downloading within ${limit} ms`;
+    else if (timedOut) message = `Image '${name}' timed out while ${phase === "connect" ? "connecting" : "downloading"}`;
+    throw new AssetError(message, { status: 502, source: url, retryable: true });
+  } finally {
+    clearTimeout(timer);
+    clearTimeout(overall);
+  }
+}
+
+// download() with retries for failures that may go away, all within TOTAL_TIMEOUT_MS
+async function downloadWithRetry(url, headers, name, log) {
+  const deadline = Date.now() + TOTAL_TIMEOUT_MS;
+  for (let attempt = 0; ; attempt++) {
+    let failure;
+    try {
+      const result = await download(url, headers, name, deadline);
+      const { status } = result.resp;
+      if (status !== 429 && status < 500) return result;
+      failure = new AssetError(`Image '${name}' could not be fetched: HTTP ${status}`, {
+        status: 502,
+        source: url,
+        retryable: true,
+      });
+    } catch (err) {
+      failure = err;
+    }
+    const wait = RETRY_BASE_MS * 2 ** attempt + Math.random() * RETRY_BASE_MS;
+    if (!failure.retryable || attempt >= RETRIES || Date.now() + wait >= deadline) throw failure;
+    stats.retries++;
+    log("asset: retry", { name, url, attempt: attempt + 1, wait: Math.round(wait), reason: failure.message });
+    await new Promise((resolve) => setTimeout(resolve, wait));
+  }
+}
+
+async function fetchRemote(url, name, log) {
+  checkRemoteUrl(url);
+  await loadIndex();
+  const key = cacheKey(url);
+  const cached = index.get(key);
+
+  if (cached && cached.freshUntil > Date.now()) {
+    const body = await readCached(key);
+    if (body) {
+      cached.usedAt = Date.now();
+      stats.hits++;
+      log("asset: cache hit", { name, url });
+      return body;
+    }
+  }
+
+  const headers = { Accept: "image/avif,image/webp,image/png,image/jpeg,image/gif,image/svg+xml;q=0.9,*/*;q=0.5" };
+  if (cached?.etag) headers["If-None-Match"] = cached.etag;
+  if (cached?.lastModified) headers["If-Modified-Since"] = cached.lastModified;
+
+  let result;
+  try {
+    result = await downloadWithRetry(url, headers, name, log);
+  } catch (err) {
+    const stale = cached && !(err instanceof SourceRejectedError) && (await readCached(key));
+    if (stale) {
+      stats.stale++;
+      log("asset: using stale copy", { name, url, reason: err.message });
+      return stale;
+    }
+    throw err;
+  }
+
+  const { resp, body } = result;
+  if (resp.status === 304 && cached) {
+    const kept = await readCached(key);
+    if (kept) {
+      const { maxAge } = cachePolicy(resp.headers);
+      Object.assign(cached, { freshUntil: Date.now() + maxAge * 1000, usedAt: Date.now() });
+      stats.revalidated++;
+      log("asset: revalidated", { name, url });
+      return kept;
+    }
+    // The cached body vanished: fetch it again without conditions
+    return downloadFresh(url, name, log);
+  }
+  if (!resp.ok) {
+    throw new AssetError(`Image '${name}' could not be fetched: HTTP ${resp.status}`, { source: url });
+  }
+
+  const contentType = sniffImageType(body);
+  if (!contentType) {
+    throw new AssetError(`Image '${name}' is not an image (${resp.headers.get("content-type") || "no content type"})`, {
+      source: url,
+    });
+  }
+  stats.misses++;
+  stats.downloadedBytes += body.length;
+  log("asset: downloaded", { name, url, bytes: body.length, contentType });
+  await storeEntry(key, url, resp, body, contentType).catch((err) =>
+    log("asset: cache write failed", { url, error: err.message })
+  );
+  return body;
+}
+
+async function downloadFresh(url, name, log) {
+  await dropEntry(cacheKey(url));
+  return fetchRemote(url, name, log);
+}
+
+// Buffer for a remote image. Concurrent requests for one URL share a download.
+export async function fetchAsset(url, { name = "image", log = () => {} } = {}) {
+  if (inflight.has(url)) return inflight.get(url);
+  const pending = fetchRemote(url, name, log)
+    .catch((err) => {
+      stats.errors++;
+      throw err;
+    })
+    .finally(() => inflight.delete(url));
+  inflight.set(url, pending);
+  return pending;
+}
+
+// Buffer for an image source: an http(s) URL or a file in assets/
+export async function loadAsset(source, { name = "image", log = () => {} } = {}) {
+  if (isRemoteSource(source)) {
+    log("element:image fetch", { name, url: source });
+    return fetchAsset(source, { name, log });
+  }
+  const localPath = resolveLocalPath(source);
+  log("element:image load local", { name, path: localPath });
+  try {
+    return await fs.readFile(localPath);
+  } catch (err) {
+    if (err.code !== "ENOENT" && err.code !== "EISDIR") throw err;
+    throw new AssetError(`Image '${name}' not found: ${source}`, { source });
+  }
+}
+
+export async function assetCacheStats() {
+  await loadIndex();
+  const entries = [...index.values()];
+  return {
+    ...stats,
+    entries: entries.length,
+    bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+    maxMb: CACHE_MAX_BYTES / MB,
+    dir: cacheDir,
+  };
+}
@@ -0,0 +1,322 @@
+import { createCanvas, loadImage } from "canvas";
+import sharp from "sharp";
+import { RenderError } from "./errors.js";
+import { loadAsset } from "./fetcher.js";
+import { initialsAvatar } from "./initials.js";
+import { SourceRejectedError, resolveLocalPath } from "./sandbox.js";
+import { resolvePlaceholders } from "./placeholders.js";
+import { drawRoundedPolygon, drawRoundedRect } from "./shapes.js";
+
+// Image elements.
+//
+// "fit" decides how the picture fills its width x height box, like CSS object-fit:
+//   fill     stretch to the box (the default, and the old behaviour)
+//   cover    scale to cover the box, cropping the overflow
+//   contain  scale to fit inside the box, leaving the rest empty
+//   none     natural size, cropped to the box
+//   smart    like cover, but sharp picks the crop ("crop": "attention" (default) or
+//            "entropy") so faces and other salient parts stay in frame
+// "position" places the picture inside the box for cover/contain/none: a keyword
+// ("center", "top", "bottom left", ...) or a focal point { "x": 0-1, "y": 0-1 }.
+//
+// "clip" cuts the picture to a shape inside the box: circle, rounded-rect (with
+// "radius", a number or one per corner), hexagon, shield or polygon ("points"
+// relative to x, y). "mask" names a PNG in assets/ whose alpha channel is used
+// as the clip instead. "border" { width, color } outlines the clip shape (or the
+// box when there is none); half of it sits outside the picture.
+// "filters" { grayscale, blur, brightness, contrast, tint, duotone: [dark, light] }
+// are applied by sharp before drawing; brightness and contrast are factors (1 = unchanged).
+//
+// "fallback" is tried when the source is empty, cannot be loaded or is not a
+// picture: another URL, a file in assets/, a generated avatar (see
+// lib/initials.js) or a list of those, tried in order:
+//   "fallback": ["{{ backup_avatar_url }}", "assets/avatar-default.png", { "initials": "{{ sales_name }}" }]
+// The picture that was drawn instead is listed in the render report. Sources
+// the sandbox rejects still fail the render.
+
+export const IMAGE_FITS = ["fill", "cover", "contain", "none", "smart"];
+export const IMAGE_POSITIONS = [
+  "center",
+  "top",
+  "bottom",
+  "left",
+  "right",
+  "top left",
+  "top right",
+  "bottom left",
+  "bottom right",
+];
+export const SMART_CROPS = ["attention", "entropy"];
+export const IMAGE_CLIPS = ["circle", "rounded-rect", "hexagon", "shield", "polygon"];
+
+// Focal point as fractions of the free space: 0 = left/top, 1 = right/bottom
+function focalPoint(position) {
+  if (position && typeof position === "object") {
+    return { x: position.x ?? 0.5, y: position.y ?? 0.5 };
+  }
+  const words = String(position || "center").split(/\s+/);
+  return {
+    x: words.includes("left") ? 0 : words.includes("right") ? 1 : 0.5,
+    y: words.includes("top") ? 0 : words.includes("bottom") ? 1 : 0.5,
+  };
+}
+
+// Source and destination rectangles for drawImage(img, sx, sy, sw, sh, dx, dy, dw, dh).
+// The scaled picture is placed by the focal point, then cut down to the box.
+export function fitRects(imageWidth, imageHeight, box, fit, position) {
+  let scaleX = box.width / imageWidth;
+  let scaleY = box.height / imageHeight;
+  if (fit === "cover") scaleX = scaleY = Math.max(scaleX, scaleY);
+  if (fit === "contain") scaleX = scaleY = Math.min(scaleX, scaleY);
+  if (fit === "none") scaleX = scaleY = 1;
+
+  const focal = focalPoint(position);
+  const drawnWidth = imageWidth * scaleX;
+  const drawnHeight = imageHeight * scaleY;
+  const left = box.x + (box.width - drawnWidth) * focal.x;
+  const top = box.y + (box.height - drawnHeight) * focal.y;
+
+  const dx = Math.max(box.x, left);
+  const dy = Math.max(box.y, top);
+  const dw = Math.min(box.x + box.width, left + drawnWidth) - dx;
+  const dh = Math.min(box.y + box.height, top + drawnHeight) - dy;
+  return {
+    sx: (dx - left) / scaleX,
+    sy: (dy - top) / scaleY,
+    sw: dw / scaleX,
+    sh: dh / scaleY,
+    dx,
+    dy,
+    dw,
+    dh,
+  };
+}
+
+// Crops the picture to the box's aspect ratio around what sharp finds most interesting
+async function smartCrop(buffer, width, height, crop) {
+  return sharp(buffer)
+    .rotate()
+    .resize(Math.max(1, Math.round(width)), Math.max(1, Math.round(height)), {
+      fit: "cover",
+      position: sharp.strategy[crop] ?? sharp.strategy.attention,
+    })
+    .png()
+    .toBuffer();
+}
+
+// [r, g, b] for any CSS color, parsed by canvas itself
+function colorChannels(color) {
+  const ctx = createCanvas(1, 1).getContext("2d");
+  ctx.fillStyle = color;
+  ctx.fillRect(0, 0, 1, 1);
+  const [r, g, b] = ctx.getImageData(0, 0, 1, 1).data;
+  return [r, g, b];
+}
+
+// Maps grey levels onto a dark -> light color ramp
+async function duotone(image, dark, light) {
+  const { data, info } = await image.grayscale().raw().toBuffer({ resolveWithObject: true });
+  const [from, to] = [colorChannels(dark), colorChannels(light)];
+  const out = Buffer.alloc(info.width * info.height * 3);
+  for (let i = 0; i < info.width * info.height; i++) {
+    const level = data[i * info.channels] / 255;
+    for (let c = 0; c < 3; c++) out[i * 3 + c] = Math.round(from[c] + (to[c] - from[c]) * level);
+  }
+  return sharp(out, { raw: { width: info.width, height: info.height, channels: 3 } });
+}
+
+async function applyFilters(buffer, filters, data) {
+  let image = sharp(buffer).rotate();
+  if (filters.grayscale) image = image.grayscale();
+  if (filters.brightness !== undefined) image = image.modulate({ brightness: filters.brightness });
+  if (filters.contrast !== undefined) {
+    image = image.linear(filters.contrast, 128 * (1 - filters.contrast));
+  }
+  if (filters.tint) image = image.tint(colorChannels(resolvePlaceholders(filters.tint, data)));
+  if (filters.duotone) {
+    const [dark, light] = filters.duotone.map((color) => resolvePlaceholders(color, data));
+    image = await duotone(sharp(await image.png().toBuffer()), dark, light);
+  }
+  if (filters.blur >= 0.3) image = image.blur(filters.blur);
+  return image.png().toBuffer();
+}
+
+function hexagonPoints(x, y, w, h) {
+  return [
+    [x + w / 2, y],
+    [x + w, y + h / 4],
+    [x + w, y + (h * 3) / 4],
+    [x + w / 2, y + h],
+    [x, y + (h * 3) / 4],
+    [x, y + h / 4],
+  ];
+}
+
+function traceShield(ctx, x, y, w, h) {
+  ctx.beginPath();
+  ctx.moveTo(x, y);
+  ctx.lineTo(x + w, y);
+  ctx.lineTo(x + w, y + h * 0.45);
+  ctx.quadraticCurveTo(x + w, y + h * 0.8, x + w / 2, y + h);
+  ctx.quadraticCurveTo(x, y + h * 0.8, x, y + h * 0.45);
+  ctx.closePath();
+}
+
+// Traces the clip outline of an image element; without a clip this is the box itself
+function traceClip(ctx, element, x, y, w, h, grow = 0) {
+  switch (element.clip) {
+    case "circle":
+      ctx.beginPath();
+      ctx.arc(x + w / 2, y + h / 2, Math.min(w, h) / 2 + grow, 0, Math.PI * 2);
+      ctx.closePath();
+      return;
+    case "rounded-rect":
+      return drawRoundedRect(ctx, x, y, w, h, element.radius ?? 0);
+    case "hexagon":
+      return drawRoundedPolygon(ctx, hexagonPoints(x, y, w, h), element.radius ?? 0);
+    case "shield":
+      return traceShield(ctx, x, y, w, h);
+    case "polygon":
+      return drawRoundedPolygon(
+        ctx,
+        (element.points || []).map(([px, py]) => [x + px, y + py]),
+        element.radius ?? 0
+      );
+    default:
+      ctx.beginPath();
+      ctx.rect(x, y, w, h);
+  }
+}
+
+function drawBorder(ctx, element, x, y, w, h, data) {
+  const border = element.border;
+  if (!border || !border.width || !border.color) return;
+  const color = resolvePlaceholders(border.color, data) || "#000000";
+  if (element.clip === "circle") {
+    // A disc slightly larger than the picture, as before
+    traceClip(ctx, element, x, y, w, h, border.width / 2);
+    ctx.fillStyle = color;
+    ctx.fill();
+    return;
+  }
+  traceClip(ctx, element, x, y, w, h);
+  ctx.strokeStyle = color;
+  ctx.lineWidth = border.width;
+  ctx.lineJoin = "round";
+  ctx.stroke();
+}
+
+// Picture drawn into its own w x h canvas and cut by the mask's alpha channel
+async function maskedImage(draw, maskName, w, h, log) {
+  // Masks are always read from assets/ ("masks/star.png" or "assets/masks/star.png")
+  const maskPath = resolveLocalPath(maskName);
+  log("element:image mask", { path: maskPath });
+  let mask;
+  try {
+    mask = await loadImage(maskPath);
+  } catch (err) {
+    throw new RenderError(`Mask '${maskName}' could not be loaded from ${maskPath}: ${err.message}`, {
+      details: { mask: maskName },
+    });
+  }
+  const layer = createCanvas(Math.max(1, Math.round(w)), Math.max(1, Math.round(h)));
+  const layerCtx = layer.getContext("2d");
+  draw(layerCtx, 0, 0);
+  layerCtx.globalCompositeOperation = "destination-in";
+  layerCtx.drawImage(mask, 0, 0, layer.width, layer.height);
+  return layer;
+}
+
+// A source that resolved to nothing, e.g. an optional input left out. Falling
+// back from it gives the same picture every time.
+class EmptySourceError extends RenderError {}
+
+// Decoded picture for one source or fallback step, after smart crop and filters
+async function loadPicture(step, element, data, name, log) {
+  const w = element.width ?? 0;
+  const h = element.height ?? 0;
+  let buffer;
+  if (step && typeof step === "object") {
+    buffer = initialsAvatar(step, w, h, data);
+  } else {
+    const source = resolvePlaceholders(step ?? "", data);
+    if (!source.trim()) throw new EmptySourceError(`Image '${name}' has no source`);
+    buffer = await loadAsset(source, { name, log });
+  }
+  if ((element.fit || "fill") === "smart") {
+    buffer = await smartCrop(buffer, w, h, element.crop || "attention");
+  }
+  if (element.filters) {
+    buffer = await applyFilters(buffer, element.filters, data);
+    log("element:image filters", { name, filters: Object.keys(element.filters) });
+  }
+  return loadImage(buffer);
+}
+
+// The source's picture, or the first fallback that loads. Returns { imageObj,
+// fallback } where fallback describes the replacement for the report, or null.
+// fallback.emptySource is set when every step skipped was empty rather than
+// failing to load, so the result does not depend on a remote host.
+async function loadWithFallbacks(element, data, name, log) {
+  const fallbacks = element.fallback === undefined ? [] : [].concat(element.fallback);
+  let failure = null;
+  let loadFailed = false;
+  for (const [index, step] of [element.source, ...fallbacks].entries()) {
+    try {
+      const imageObj = await loadPicture(step, element, data, name, log);
+      if (!failure) return { imageObj, fallback: null };
+      const used =
+        step && typeof step === "object" ? { used: "initials" } : { used: "image", source: resolvePlaceholders(step, data) };
+      const fallback = { element: name, ...used, reason: failure.message };
+      return { imageObj, fallback: loadFailed ? fallback : { ...fallback, emptySource: true } };
+    } catch (err) {
+      if (err instanceof SourceRejectedError || !fallbacks.length) throw err;
+      log("element:image fallback", { name, failed: index ? `fallback ${index}` : "source", reason: err.message });
+      failure ??= err;
+      if (!(err instanceof EmptySourceError)) loadFailed = true;
+    }
+  }
+  throw failure;
+}
+
+// Draws an image element. Returns the report entry of the fallback it used, or null.
+export async function drawImageElement(ctx, element, data, log) {
+  const name = element.name || "image";
+  const x = element.x ?? 0;
+  const y = element.y ?? 0;
+  const w = element.width ?? 0;
+  const h = element.height ?? 0;
+  const fit = element.fit || "fill";
+
+  const { imageObj, fallback } = await loadWithFallbacks(element, data, name, log);
+  log("element:image load ok", { name, width: imageObj.width, height: imageObj.height });
+
+  // Draws the picture with its box at (left, top)
+  const draw = (target, left, top) => {
+    if (fit === "fill" || fit === "smart") {
+      target.drawImage(imageObj, left, top, w, h);
+      return;
+    }
+    const r = fitRects(imageObj.width, imageObj.height, { x: left, y: top, width: w, height: h }, fit, element.position);
+    if (r.dw > 0 && r.dh > 0) {
+      target.drawImage(imageObj, r.sx, r.sy, r.sw, r.sh, r.dx, r.dy, r.dw, r.dh);
+    }
+  };
+
+  // Drawn first so the inner half of the stroke is covered by the picture
+  drawBorder(ctx, element, x, y, w, h, data);
+
+  ctx.save();
+  if (element.clip) {
+    traceClip(ctx, element, x, y, w, h);
+    ctx.clip();
+  }
+  if (element.mask) {
+    ctx.drawImage(await maskedImage(draw, element.mask, w, h, log), x, y, w, h);
+  } else {
+    draw(ctx, x, y);
+  }
+  ctx.restore();
+  log("element:image drawn", { name, x, y, w, h, fit, clip: element.clip ?? null });
+  return fallback;
+}
@@ -0,0 +1,90 @@
+import { createCanvas } from "canvas";
+import { resolvePlaceholders } from "./placeholders.js";
+import { fontString } from "./text.js";
+
+// Generated avatars for image fallbacks: { "initials": "{{ sales_name }}" }
+// draws the name's initials on a colour picked from a hash of the name, so a
+// person keeps the same colour on every card. Optional "background", "color"
+// and "font" override the colour, the letter colour and the font family.
+// Initials come from the first and last word, skipping titles (นาย, นางสาว,
+// Mr., ...). Thai words use their first consonant, skipping leading vowels
+// (เ แ โ ใ ไ) and marks, so "เกียรติ ศรีสุข" gives "กศ".
+
+const DEFAULT_FONT = "DB-Adman-X";
+const DEFAULT_COLOR = "#FFFFFF";
+// Mid-tone colours that keep white letters readable
+const PALETTE = [
+  "#E74C3C",
+  "#E67E22",
+  "#D35400",
+  "#C0392B",
+  "#16A085",
+  "#27AE60",
+  "#2980B9",
+  "#8E44AD",
+  "#2C3E50",
+  "#B0417A",
+  "#3D6CB9",
+  "#7D5BA6",
+];
+const TITLES = new Set(["นาย", "นาง", "นางสาว", "น.ส.", "คุณ", "ดร.", "mr", "mr.", "mrs", "mrs.", "ms", "ms.", "miss", "dr", "dr."]);
+
+const thaiPattern = /^[\u0E00-\u0E7F]/;
+const thaiConsonant = /[\u0E01-\u0E2E]/;
+const letterOrDigit = /[\p{L}\p{N}]/u;
+
+function initialOf(word) {
+  const chars = [...word];
+  if (thaiPattern.test(word)) return chars.find((char) => thaiConsonant.test(char)) || "";
+  return (chars.find((char) => letterOrDigit.test(char)) || "").toLocaleUpperCase();
+}
+
+// Up to two initials for a name, "?" when it has none
+export function initialsOf(name) {
+  const words = String(name ?? "")
+    .normalize("NFC")
+    .split(/\s+/)
+    .filter((word) => word && !TITLES.has(word.toLowerCase()));
+  const picked = words.length > 1 ? [words[0], words[words.length - 1]] : words;
+  return picked.map(initialOf).join("") || "?";
+}
+
+// FNV-1a, so the colour only depends on the name
+export function avatarColor(name) {
+  let hash = 0x811c9dc5;
+  for (const char of String(name ?? "").normalize("NFC").trim().toLowerCase()) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return PALETTE[hash % PALETTE.length];
+}
+
+// PNG of the generated avatar at the element's size
+export function initialsAvatar(spec, width, height, data) {
+  const name = resolvePlaceholders(spec.initials, data);
+  const w = Math.max(1, Math.round(width));
+  const h = Math.max(1, Math.round(height));
+  const canvas = createCanvas(w, h);
+  const ctx = canvas.getContext("2d");
+
+  ctx.fillStyle = resolvePlaceholders(spec.background, data) || avatarColor(name);
+  ctx.fillRect(0, 0, w, h);
+
+  const text = initialsOf(name);
+  const fontFamily = resolvePlaceholders(spec.font, data) || DEFAULT_FONT;
+  // Sized to the shorter side, then shrunk if two wide letters would not fit
+  // inside a circle drawn in the same box
+  let fontSize = Math.round(Math.min(w, h) * (text.length > 1 ? 0.42 : 0.5));
+  ctx.font = fontString(fontSize, fontFamily);
+  const maxWidth = Math.min(w, h) * 0.7;
+  const measured = ctx.measureText(text).width;
+  if (measured > maxWidth) {
+    fontSize = Math.max(1, Math.floor((fontSize * maxWidth) / measured));
+    ctx.font = fontString(fontSize, fontFamily);
+  }
+  ctx.fillStyle = resolvePlaceholders(spec.color, data) || DEFAULT_COLOR;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText(text, w / 2, h / 2);
+  return canvas.toBuffer("image/png");
+}
@@ -0,0 +1,190 @@
+import path from "path";
+import fs from "fs/promises";
+import crypto from "crypto";
+import fetch from "node-fetch";
+import { dataDir } from "./data-dir.js";
+import { checkRemoteUrl, sandboxAgent } from "./sandbox.js";
+
+// Background render jobs for POST /render?async=1.
+// Every job is a JSON file in <DATA_DIR>/jobs/<id>.json (JOBS_DIR overrides),
+// rewritten on each status change (queued -> running -> done | failed), so a
+// restarted process picks up where the last one stopped: queued and
+// interrupted running jobs are queued again.
+// When a job has a callback_url it receives a POST with the final job, signed
+// with HMAC-SHA256 over "<timestamp>.<body>" using CALLBACK_SECRET:
+//   X-Render-Timestamp: 1730000000
+//   X-Render-Signature: sha256=<hex>
+// Callbacks go through the image sandbox's address checks (lib/sandbox.js), so
+// they never reach loopback or internal addresses, and redirects are not followed.
+// Finished jobs are removed JOB_RETENTION_HOURS after they finish (default 24).
+const jobsDir = process.env.JOBS_DIR || path.join(dataDir, "jobs");
+const JOB_CONCURRENCY = Number(process.env.JOB_CONCURRENCY) || 2;
+const CALLBACK_ATTEMPTS = 3;
+const CALLBACK_TIMEOUT_MS = 10000;
+const JOB_RETENTION_MS = (Number(process.env.JOB_RETENTION_HOURS) || 24) * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+const jobIdPattern = /^[0-9a-f-]{36}$/;
+const jobs = new Map();
+const queue = [];
+let running = 0;
+let runJob = null;
+
+function jobFile(id) {
+  return path.join(jobsDir, `${id}.json`);
+}
+
+// Written to a temp file first so a crash never leaves half a job behind
+async function persist(job) {
+  job.updatedAt = new Date().toISOString();
+  const file = jobFile(job.id);
+  await fs.writeFile(`${file}.tmp`, JSON.stringify(job, null, 2));
+  await fs.rename(`${file}.tmp`, file);
+}
+
+export function callbackSecret() {
+  return process.env.CALLBACK_SECRET || "";
+}
+
+export function signPayload(body, timestamp, secret = callbackSecret()) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+// What GET /jobs/:id shows; the request data stays private
+export function publicJob(job) {
+  const { request, ...visible } = job;
+  return visible;
+}
+
+async function sendCallback(job) {
+  const body = JSON.stringify(publicJob(job));
+  const timestamp = Math.floor(Date.now() / 1000);
+  const headers = {
+    "Content-Type": "application/json",
+    "X-Render-Timestamp": String(timestamp),
+    "X-Render-Signature": `sha256=${signPayload(body, timestamp)}`,
+  };
+  try {
+    checkRemoteUrl(job.callback_url, { hostLists: false });
+  } catch (err) {
+    return { status: "failed", attempts: 0, error: err.reason || err.message };
+  }
+
+  for (let attempt = 1; attempt <= CALLBACK_ATTEMPTS; attempt++) {
+    try {
+      const resp = await fetch(job.callback_url, {
+        method: "POST",
+        headers,
+        body,
+        signal: AbortSignal.timeout(CALLBACK_TIMEOUT_MS),
+        agent: sandboxAgent,
+        redirect: "manual",
+      });
+      if (resp.ok) return { status: "delivered", attempts: attempt, code: resp.status };
+      if (attempt === CALLBACK_ATTEMPTS) return { status: "failed", attempts: attempt, code: resp.status };
+    } catch (err) {
+      if (err.code === "ESOURCEREJECTED") {
+        return { status: "failed", attempts: attempt, error: "callback host does not resolve to a public address" };
+      }
+      if (attempt === CALLBACK_ATTEMPTS) return { status: "failed", attempts: attempt, error: err.message };
+    }
+    await new Promise((resolve) => setTimeout(resolve, 1000 * 2 ** attempt));
+  }
+}
+
+async function execute(job) {
+  job.status = "running";
+  job.startedAt = new Date().toISOString();
+  await persist(job);
+
+  try {
+    Object.assign(job, { status: "done", ...(await runJob(job.request, job.id)) });
+  } catch (err) {
+    job.status = "failed";
+    job.error = { code: err.status || 500, message: err.message || "Image generation failed", ...(err.details || {}) };
+  }
+  job.finishedAt = new Date().toISOString();
+  await persist(job);
+
+  if (job.callback_url) {
+    job.callback = await sendCallback(job);
+    await persist(job);
+  }
+}
+
+function pump() {
+  while (running < JOB_CONCURRENCY && queue.length) {
+    const job = queue.shift();
+    running++;
+    execute(job)
+      .catch((err) => console.error(`[job ${job.id}] failed to run`, err))
+      .finally(() => {
+        running--;
+        pump();
+      });
+  }
+}
+
+// Drops finished jobs older than JOB_RETENTION_MS from memory and disk
+async function pruneJobs() {
+  const cutoff = Date.now() - JOB_RETENTION_MS;
+  let removed = 0;
+  for (const [id, job] of jobs) {
+    if (job.status !== "done" && job.status !== "failed") continue;
+    if (!job.finishedAt || Date.parse(job.finishedAt) > cutoff) continue;
+    jobs.delete(id);
+    await fs.rm(jobFile(id), { force: true });
+    removed++;
+  }
+  return removed;
+}
+
+// Loads stored jobs and requeues unfinished ones, then prunes finished jobs on an interval. worker(request, jobId) renders
+// one request and resolves to its /render response body ({ url, report } or
+// { sizes }), or throws (RenderError for caller mistakes).
+export async function startJobs(worker) {
+  runJob = worker;
+  await fs.mkdir(jobsDir, { recursive: true });
+
+  const pending = [];
+  for (const name of await fs.readdir(jobsDir)) {
+    if (!name.endsWith(".json")) continue;
+    try {
+      const job = JSON.parse(await fs.readFile(path.join(jobsDir, name), "utf8"));
+      jobs.set(job.id, job);
+      if (job.status === "queued" || job.status === "running") pending.push(job);
+    } catch (err) {
+      console.warn(`Skipping unreadable job file ${name}:`, err.message);
+    }
+  }
+  pending.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  for (const job of pending) {
+    job.status = "queued";
+    queue.push(job);
+  }
+  const pruned = await pruneJobs();
+  const prune = () => pruneJobs().catch((err) => console.error("jobs: prune failed", err));
+  setInterval(prune, PRUNE_INTERVAL_MS).unref();
+  pump();
+  return { restored: jobs.size, requeued: pending.length, pruned };
+}
+
+export async function createJob(request, { callbackUrl } = {}) {
+  const job = {
+    id: crypto.randomUUID(),
+    status: "queued",
+    createdAt: new Date().toISOString(),
+    ...(callbackUrl ? { callback_url: callbackUrl } : {}),
+    request,
+  };
+  jobs.set(job.id, job);
+  await persist(job);
+  queue.push(job);
+  pump();
+  return job;
+}
+
+export function getJob(id) {
+  if (typeof id !== "string" || !jobIdPattern.test(id)) return null;
+  return jobs.get(id) || null;
+}
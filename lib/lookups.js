@@ -0,0 +1,61 @@
+import { isBlank } from "./expr.js";
+import { getPath } from "./placeholders.js";
+
+// Template lookups: variables chosen by a data value, so callers send "rank": 1
+// and the template owns the palette.
+//   "lookups": [{
+//     "key": "rank",
+//     "values": {
+//       "1": { "border_color": "#FFD700", "badge_color": "#D4AF37", "rank_name": "Gold" },
+//       "2": { "border_color": "#C0C0C0", "badge_color": "#95A5A6", "rank_name": "Silver" }
+//     },
+//     "default": { "border_color": "#CD7F32" }
+//   }]
+// The variables become ordinary data keys, referenced as {{ border_color }}
+// anywhere in the template. Values the caller sends win over the lookup, and
+// lookups run in order, so a later lookup can key on a variable set by an earlier one.
+
+// The variables for a key value: an exact match, then a case-insensitive one, then the default
+function findEntry(lookup, value) {
+  const values = lookup.values || {};
+  if (!isBlank(value) && typeof value !== "object") {
+    const text = String(value).trim();
+    if (Object.prototype.hasOwnProperty.call(values, text)) return { match: text, vars: values[text] };
+    const folded = Object.keys(values).find((candidate) => candidate.toLowerCase() === text.toLowerCase());
+    if (folded !== undefined) return { match: folded, vars: values[folded] };
+  }
+  if (lookup.default) return { match: "default", vars: lookup.default };
+  return { match: null, vars: {} };
+}
+
+// Returns { data, applied }: data with lookup variables filled in where the caller
+// left them out, applied lists [{ key, value, match }] for each lookup
+export function applyLookups(template, input) {
+  const data = { ...(input || {}) };
+  const applied = [];
+
+  for (const lookup of template?.lookups || []) {
+    const value = getPath(data, String(lookup.key).split("."));
+    const { match, vars } = findEntry(lookup, value);
+    for (const [name, variable] of Object.entries(vars || {})) {
+      if (isBlank(data[name])) data[name] = variable;
+    }
+    applied.push({ key: lookup.key, value: value ?? null, match });
+  }
+
+  return { data, applied };
+}
+
+// Variable names each lookup can set: Map<name, [lookup key]>
+export function lookupVariables(template) {
+  const found = new Map();
+  for (const lookup of template?.lookups || []) {
+    for (const vars of [...Object.values(lookup?.values || {}), lookup?.default || {}]) {
+      for (const name of Object.keys(vars || {})) {
+        if (!found.has(name)) found.set(name, []);
+        if (!found.get(name).includes(lookup.key)) found.get(name).push(lookup.key);
+      }
+    }
+  }
+  return found;
+}
@@ -0,0 +1,73 @@
+import sharp from "sharp";
+import { RenderError } from "./errors.js";
+
+// Output encoding. Canvases are always drawn the same way; "format" and
+// "quality" only decide how the finished image is encoded. A template may set
+// its own default with "output": { "format": "jpeg", "quality": 85 }; a request's
+// "format" / "quality" win over it. quality (1-100) applies to jpeg, webp, avif
+// and webp-animated. "gif" and "webp-animated" render the template's animation
+// (see lib/animation.js).
+
+export const OUTPUT_FORMATS = ["png", "jpeg", "webp", "avif", "gif", "webp-animated"];
+export const ANIMATED_FORMATS = ["gif", "webp-animated"];
+
+const formatAliases = { jpg: "jpeg" };
+const formatInfo = {
+  png: { extension: "png", contentType: "image/png" },
+  jpeg: { extension: "jpg", contentType: "image/jpeg" },
+  webp: { extension: "webp", contentType: "image/webp" },
+  avif: { extension: "avif", contentType: "image/avif" },
+  gif: { extension: "gif", contentType: "image/gif" },
+  "webp-animated": { extension: "webp", contentType: "image/webp" },
+};
+
+// Content-Type by file extension, for serving stored images
+export const CONTENT_TYPES = Object.fromEntries(
+  Object.values(formatInfo).map(({ extension, contentType }) => [`.${extension}`, contentType])
+);
+
+// { format, quality } for a request; throws RenderError (400) for unknown values
+export function resolveOutput(template, options = {}) {
+  const defaults = template?.output || {};
+  const requested = options.format ?? defaults.format ?? "png";
+  const format = formatAliases[String(requested).toLowerCase()] ?? String(requested).toLowerCase();
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new RenderError(`format must be one of ${OUTPUT_FORMATS.join(", ")}`, { status: 400 });
+  }
+
+  const rawQuality = options.quality ?? defaults.quality;
+  if (rawQuality === undefined || rawQuality === null || rawQuality === "") return { format };
+  const quality = Number(rawQuality);
+  if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+    throw new RenderError("quality must be a whole number from 1 to 100", { status: 400 });
+  }
+  return { format, quality };
+}
+
+export function isAnimated(format) {
+  return ANIMATED_FORMATS.includes(format);
+}
+
+// Returns { buffer, extension, contentType }. Animated formats need the
+// { frames, delays, loop } that renderTemplate returns with `animate`.
+export async function encodeImage(canvas, { format = "png", quality } = {}, animation = null) {
+  const { extension, contentType } = formatInfo[format];
+  const options = quality ? { quality } : {};
+  if (isAnimated(format)) {
+    const { frames, delays, loop } = animation;
+    const image = sharp(frames, { join: { animated: true } });
+    // Palette search dominates GIF encoding time; the lowest effort keeps it bounded
+    const encoded =
+      format === "gif" ? image.gif({ effort: 1, delay: delays, loop }) : image.webp({ ...options, delay: delays, loop });
+    return { buffer: await encoded.toBuffer(), extension, contentType };
+  }
+
+  const png = canvas.toBuffer("image/png");
+  if (format === "png") return { buffer: png, extension, contentType };
+
+  let image = sharp(png);
+  if (format === "jpeg") image = image.flatten({ background: "#ffffff" }).jpeg({ ...options, mozjpeg: true });
+  if (format === "webp") image = image.webp(options);
+  if (format === "avif") image = image.avif(options);
+  return { buffer: await image.toBuffer(), extension, contentType };
+}
@@ -0,0 +1,63 @@
+import { resolvePlaceholders } from "./placeholders.js";
+
+// Fill and stroke styles shared by text and shapes.
+//
+// Gradients are declared relative to the box of the element they paint:
+//   { "type": "linear", "angle": 180, "stops": [{ "offset": 0, "color": "#FFD700" }, { "offset": 1, "color": "{{ badge_color }}" }] }
+//   { "type": "radial", "stops": [...] }
+// angle follows CSS: 0 paints bottom to top, 90 left to right, 180 (the default) top to bottom.
+
+export const GRADIENT_TYPES = ["linear", "radial"];
+
+export function createGradient(ctx, gradient, box, data) {
+  const cx = box.x + box.width / 2;
+  const cy = box.y + box.height / 2;
+
+  let fill;
+  if (gradient.type === "radial") {
+    const radius = Math.max(1, Math.hypot(box.width, box.height) / 2);
+    fill = ctx.createRadialGradient(cx, cy, 0, cx, cy, radius);
+  } else {
+    const angle = ((gradient.angle ?? 180) * Math.PI) / 180;
+    const dx = Math.sin(angle);
+    const dy = -Math.cos(angle);
+    // Half the length of the gradient line, so the first and last stops sit on the box corners
+    const half = (Math.abs(box.width * dx) + Math.abs(box.height * dy)) / 2;
+    fill = ctx.createLinearGradient(cx - dx * half, cy - dy * half, cx + dx * half, cy + dy * half);
+  }
+
+  for (const stop of gradient.stops || []) {
+    const offset = Math.min(1, Math.max(0, stop.offset ?? 0));
+    try {
+      fill.addColorStop(offset, resolvePlaceholders(stop.color, data) || "#000000");
+    } catch {
+      // A placeholder that resolved to something that is not a color; skip the stop
+    }
+  }
+  return fill;
+}
+
+// The fill for an element: its gradient when it has one, otherwise its solid color
+export function resolveFill(ctx, element, box, data, fallbackColor = "#000000") {
+  if (element.gradient) {
+    return createGradient(ctx, element.gradient, box, data);
+  }
+  return resolvePlaceholders(element.color ?? fallbackColor, data);
+}
+
+// Shadow settings for the next draw call; call clearShadow() afterwards so
+// later paints (the fill over a stroke, other elements) are not shadowed again
+export function applyShadow(ctx, shadow, data) {
+  if (!shadow) return;
+  ctx.shadowColor = resolvePlaceholders(shadow.color ?? "rgba(0, 0, 0, 0.5)", data);
+  ctx.shadowBlur = shadow.blur ?? 0;
+  ctx.shadowOffsetX = shadow.offsetX ?? 0;
+  ctx.shadowOffsetY = shadow.offsetY ?? 0;
+}
+
+export function clearShadow(ctx) {
+  ctx.shadowColor = "rgba(0, 0, 0, 0)";
+  ctx.shadowBlur = 0;
+  ctx.shadowOffsetX = 0;
+  ctx.shadowOffsetY = 0;
+}
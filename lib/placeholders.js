@@ -0,0 +1,296 @@
+import { conditionPaths } from "./conditions.js";
+import { ExpressionError, isBlank, lexer, parseValue, toNumber } from "./expr.js";
+import { REPEAT_KEYS } from "./repeat.js";
+
+// {{ ... }} placeholders inside template strings.
+//
+// A placeholder is a small expression, parsed here and never eval'd:
+//   {{ sales_name }}                       plain key
+//   {{ rep.name }}  {{ entries[0].name }}  dotted / indexed paths
+//   {{ rank_name | upper }}                filters, applied left to right
+//   {{ nickname | default: sales_name }}   filter arguments: paths, "strings", 'strings' or numbers
+//   {{ sales_amount | number: "th-TH" }}
+//   {{ month | date: "MMMM YYYY", "th-TH" }}
+
+const placeholderPattern = /\{\{(.*?)\}\}/g;
+const tokenize = lexer(String.raw`[|:,.[\]]`);
+
+function parse(source) {
+  const tokens = tokenize(source);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isPunct = (value) => peek()?.type === "punct" && peek().value === value;
+  const expect = (value) => {
+    if (!isPunct(value)) throw new ExpressionError(`expected '${value}'`);
+    pos++;
+  };
+
+  function parseOperand() {
+    let node;
+    [node, pos] = parseValue(tokens, pos);
+    return node;
+  }
+
+  if (!tokens.length) throw new ExpressionError("empty placeholder");
+  const value = parseOperand();
+  const filters = [];
+  while (pos < tokens.length) {
+    expect("|");
+    const name = tokens[pos++];
+    if (name?.type !== "ident") throw new ExpressionError("expected a filter name after '|'");
+    if (!filterFunctions[name.value]) throw new ExpressionError(`unknown filter '${name.value}'`);
+    const args = [];
+    if (isPunct(":")) {
+      pos++;
+      args.push(parseOperand());
+      while (isPunct(",")) {
+        pos++;
+        args.push(parseOperand());
+      }
+    }
+    filters.push({ name: name.value, args });
+  }
+  return { value, filters };
+}
+
+const compiled = new Map();
+
+export function parseExpression(source) {
+  if (!compiled.has(source)) {
+    if (compiled.size > 1000) compiled.clear();
+    compiled.set(source, parse(source));
+  }
+  return compiled.get(source);
+}
+
+// Own properties only, so "constructor" and friends never leak out of the data
+export function getPath(data, path) {
+  let value = data;
+  for (const key of path) {
+    if (value === null || value === undefined || typeof value !== "object") return undefined;
+    if (!Object.prototype.hasOwnProperty.call(value, key)) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+function toDate(value) {
+  if (value instanceof Date) return value;
+  if (typeof value === "number") return new Date(value);
+  if (typeof value !== "string" || !value.trim()) return null;
+  // "2025-08" on its own is not understood by every engine
+  const date = new Date(/^\d{4}-\d{2}$/.test(value.trim()) ? `${value.trim()}-01` : value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Dates are formatted in UTC so date-only values never shift across midnight
+function formatDate(date, format, locale) {
+  const part = (options) => new Intl.DateTimeFormat(locale, { timeZone: "UTC", ...options }).format(date);
+  const pad = (n) => String(n).padStart(2, "0");
+  const tokens = {
+    YYYY: () => String(date.getUTCFullYear()),
+    BBBB: () => String(date.getUTCFullYear() + 543),
+    YY: () => pad(date.getUTCFullYear() % 100),
+    MMMM: () => part({ month: "long" }),
+    MMM: () => part({ month: "short" }),
+    MM: () => pad(date.getUTCMonth() + 1),
+    M: () => String(date.getUTCMonth() + 1),
+    dddd: () => part({ weekday: "long" }),
+    ddd: () => part({ weekday: "short" }),
+    DD: () => pad(date.getUTCDate()),
+    D: () => String(date.getUTCDate()),
+    HH: () => pad(date.getUTCHours()),
+    mm: () => pad(date.getUTCMinutes()),
+    ss: () => pad(date.getUTCSeconds()),
+  };
+  return format.replace(/\[([^\]]*)\]|YYYY|BBBB|YY|MMMM|MMM|MM|M|dddd|ddd|DD|D|HH|mm|ss/g, (token, literal) =>
+    literal !== undefined ? literal : tokens[token]()
+  );
+}
+
+function toText(value) {
+  if (isBlank(value)) return "";
+  if (typeof value === "object") return "";
+  return String(value);
+}
+
+// Each filter receives the current value followed by its evaluated arguments
+const filterFunctions = {
+  upper: (value) => toText(value).toUpperCase(),
+  lower: (value) => toText(value).toLowerCase(),
+  capitalize: (value) => {
+    const text = toText(value);
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  },
+  title: (value) => toText(value).replace(/(^|\s)(\S)/g, (_, space, ch) => space + ch.toUpperCase()),
+  trim: (value) => toText(value).trim(),
+  default: (value, ...fallbacks) => {
+    if (!isBlank(value)) return value;
+    return fallbacks.find((fallback) => !isBlank(fallback)) ?? "";
+  },
+  number: (value, locale, decimals) => {
+    const number = toNumber(value);
+    if (number === null) return value;
+    const digits = toNumber(decimals);
+    const options = digits === null ? {} : { minimumFractionDigits: digits, maximumFractionDigits: digits };
+    return new Intl.NumberFormat(locale || undefined, options).format(number);
+  },
+  currency: (value, currency = "THB", locale) => {
+    const number = toNumber(value);
+    if (number === null) return value;
+    return new Intl.NumberFormat(locale || undefined, { style: "currency", currency }).format(number);
+  },
+  date: (value, format = "YYYY-MM-DD", locale) => {
+    const date = toDate(value);
+    return date ? formatDate(date, String(format), locale || undefined) : value;
+  },
+  truncate: (value, length = 20, suffix = "…") => {
+    const chars = [...toText(value)];
+    const max = toNumber(length) ?? 20;
+    return chars.length > max ? chars.slice(0, max).join("") + suffix : chars.join("");
+  },
+  prepend: (value, prefix = "") => (isBlank(value) ? "" : toText(prefix) + toText(value)),
+  append: (value, suffix = "") => (isBlank(value) ? "" : toText(value) + toText(suffix)),
+  replace: (value, search = "", replacement = "") => toText(value).split(toText(search)).join(toText(replacement)),
+};
+
+export const FILTERS = Object.keys(filterFunctions);
+
+function evaluateOperand(node, data) {
+  return node.type === "literal" ? node.value : getPath(data, node.path);
+}
+
+export function evaluateExpression(source, data) {
+  const { value, filters } = parseExpression(source);
+  let result = evaluateOperand(value, data);
+  for (const filter of filters) {
+    const args = filter.args.map((arg) => evaluateOperand(arg, data));
+    result = filterFunctions[filter.name](result, ...args);
+  }
+  return result;
+}
+
+// Unparseable placeholders (and filters given a locale or currency Intl rejects)
+// resolve to "" just like missing keys; templates are checked for syntax
+// problems on save and preview, see placeholderErrors()
+export function resolvePlaceholders(value, data) {
+  if (typeof value !== "string") return value;
+  return value.replace(placeholderPattern, (_, source) => {
+    try {
+      return toText(evaluateExpression(source, data || {}));
+    } catch (err) {
+      if (err instanceof ExpressionError || err instanceof RangeError) return "";
+      throw err;
+    }
+  });
+}
+
+// Syntax problems in every placeholder of a string, as messages
+export function placeholderErrors(value) {
+  if (typeof value !== "string") return [];
+  const errors = [];
+  for (const match of value.matchAll(placeholderPattern)) {
+    try {
+      parseExpression(match[1]);
+    } catch (err) {
+      if (!(err instanceof ExpressionError)) throw err;
+      errors.push(`invalid placeholder '${match[0]}': ${err.message}`);
+    }
+  }
+  return errors;
+}
+
+// Data keys an expression reads, as dotted paths ("rep.name")
+function expressionPaths(source) {
+  try {
+    const { value, filters } = parseExpression(source);
+    return [value, ...filters.flatMap((filter) => filter.args)]
+      .filter((node) => node.type === "path")
+      .map((node) => node.path.join("."));
+  } catch {
+    return [];
+  }
+}
+
+function addUse(found, key, use) {
+  if (!found.has(key)) found.set(key, []);
+  found.get(key).push(use);
+}
+
+function collect(value, path, element, found) {
+  if (typeof value === "string") {
+    for (const match of value.matchAll(placeholderPattern)) {
+      for (const dataPath of expressionPaths(match[1])) {
+        const key = dataPath.split(".")[0];
+        addUse(found, key, { element, path, expression: match[0], ...(dataPath !== key ? { dataPath } : {}) });
+      }
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach((item, i) => collect(item, `${path}[${i}]`, element, found));
+  } else if (value && typeof value === "object") {
+    for (const [key, item] of Object.entries(value)) {
+      if (key === "visibleIf" && typeof item === "string") {
+        for (const keys of conditionPaths(item)) {
+          const dataPath = keys.join(".");
+          const use = { element, path: `${path}.visibleIf`, expression: item };
+          addUse(found, String(keys[0]), { ...use, ...(keys.length > 1 ? { dataPath } : {}) });
+        }
+        continue;
+      }
+      collect(item, `${path}.${key}`, element, found);
+    }
+  }
+}
+
+// Inside a repeat group a key is an input when the template declares one by
+// that name, otherwise a field of the current item ("entries[].name")
+function collectElements(elements, prefix, declared) {
+  const found = new Map();
+  (Array.isArray(elements) ? elements : []).forEach((element, i) => {
+    const path = `${prefix}[${i}]`;
+    const name = element?.name ?? null;
+    if (element?.type !== "repeat") return collect(element, path, name, found);
+
+    const { elements: children, more, ...own } = element;
+    collect(own, path, name, found);
+    const source = typeof element.source === "string" ? element.source : "";
+    if (source) {
+      addUse(found, source.split(".")[0], {
+        element: name,
+        path: `${path}.source`,
+        expression: source,
+        ...(source.includes(".") ? { dataPath: source } : {}),
+      });
+    }
+    for (const [key, uses] of collectElements(children, `${path}.elements`, declared)) {
+      if (REPEAT_KEYS.includes(key)) continue;
+      for (const use of uses) {
+        if (declared.has(key) || !source) {
+          addUse(found, key, use);
+        } else {
+          addUse(found, source.split(".")[0], { ...use, dataPath: `${source}[].${use.dataPath ?? key}` });
+        }
+      }
+    }
+    // The "more" slot has no current item
+    for (const [key, uses] of collectElements(more, `${path}.more`, declared)) {
+      if (REPEAT_KEYS.includes(key)) continue;
+      for (const use of uses) addUse(found, key, use);
+    }
+  });
+  return found;
+}
+
+// Every top-level data key a template reads, in placeholders and visibleIf
+// conditions, mapped to where it appears: Map<key, [{ element, path, expression }]>.
+// The inputs declaration itself is not scanned.
+export function findPlaceholders(template) {
+  const { elements = [], inputs, ...rest } = template || {};
+  const declared = new Set((Array.isArray(inputs) ? inputs : []).map((spec) => spec?.name));
+  const found = new Map();
+  collect(rest, "$", null, found);
+  for (const [key, uses] of collectElements(elements, "$.elements", declared)) {
+    for (const use of uses) addUse(found, key, use);
+  }
+  return found;
+}
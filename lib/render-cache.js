@@ -0,0 +1,95 @@
+import crypto from "crypto";
+import { findPlaceholders } from "./placeholders.js";
+import { evicted } from "./retention.js";
+
+// Identical /render requests share one stored image. The key is a SHA-256 over
+// the template id and content, the data the template actually reads (after
+// input defaults and lookups) and the output options, so:
+//   - keys the template never reads, and key order, do not matter
+//   - any change to the template gives new keys; saving or deleting a template
+//     also drops its entries right away (see invalidateTemplate)
+//   - entries whose file retention removed are forgotten on lookup
+// Remote images (avatars) are part of the key only by URL. Requests with
+// "no_cache": true skip the cache both ways. The index lives in memory and keeps
+// the RENDER_CACHE_MAX_ENTRIES (default 5000) most recently used entries.
+
+const MAX_ENTRIES = Number(process.env.RENDER_CACHE_MAX_ENTRIES) || 5000;
+
+const entries = new Map();
+const stats = { hits: 0, misses: 0, invalidated: 0 };
+
+// JSON with object keys sorted, so equal values always serialize the same way
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(",")}]`;
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).filter((key) => value[key] !== undefined).sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${canonical(value[key])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function sha256(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+// Data keys that can change the image: placeholders, visibleIf and repeat
+// sources, declared inputs and lookup keys
+function readKeys(template) {
+  const keys = new Set(findPlaceholders(template).keys());
+  for (const spec of template?.inputs || []) keys.add(spec?.name);
+  for (const lookup of template?.lookups || []) keys.add(String(lookup?.key).split(".")[0]);
+  return keys;
+}
+
+export function renderCacheKey({ templateId, template, data, output, size }) {
+  const keys = readKeys(template);
+  const used = Object.fromEntries(Object.entries(data || {}).filter(([key]) => keys.has(key)));
+  return sha256(
+    canonical({
+      templateId,
+      template: sha256(canonical(template)),
+      data: used,
+      output,
+      size: size ?? null,
+    })
+  );
+}
+
+// { filename, url, report } for a key, or null
+export function lookupRender(key) {
+  const entry = entries.get(key);
+  if (!entry || evicted(entry.filename)) {
+    entries.delete(key);
+    stats.misses++;
+    return null;
+  }
+  // Re-insert to mark it as recently used
+  entries.delete(key);
+  entries.set(key, entry);
+  stats.hits++;
+  return entry;
+}
+
+// Renders that fell back because a picture failed to load are not kept, since
+// it may load next time. Fallbacks for empty sources always give the same image.
+export function rememberRender(key, { templateId, filename, url, report }) {
+  if (report?.fallbacks?.some((fallback) => !fallback.emptySource)) return;
+  entries.delete(key);
+  entries.set(key, { templateId, filename, url, report });
+  while (entries.size > MAX_ENTRIES) entries.delete(entries.keys().next().value);
+}
+
+export function invalidateTemplate(templateId) {
+  let removed = 0;
+  for (const [key, entry] of entries) {
+    if (entry.templateId !== templateId) continue;
+    entries.delete(key);
+    removed++;
+  }
+  stats.invalidated += removed;
+  return removed;
+}
+
+export function renderCacheStats() {
+  return { entries: entries.size, maxEntries: MAX_ENTRIES, ...stats };
+}
@@ -0,0 +1,160 @@
+import { createCanvas, loadImage } from "canvas";
+import path from "path";
+import { createConfetti, drawConfetti, frameTimeline, paintLayer } from "./animation.js";
+import { checkVisibility } from "./conditions.js";
+import { loadAsset } from "./fetcher.js";
+import { SourceRejectedError } from "./sandbox.js";
+import { drawImageElement } from "./image.js";
+import { resolvePlaceholders } from "./placeholders.js";
+import { layoutRepeat } from "./repeat.js";
+import { SHAPE_TYPES, drawShapeElement } from "./shapes.js";
+import { drawTextElement } from "./text.js";
+
+// Draws a template onto a canvas. Shared by /render, /preview and the Vercel
+// functions so every entry point produces the same image.
+
+const assetsDir = path.join(process.cwd(), "assets");
+const noop = () => {};
+
+// Load background from template (a file in assets/ or an http(s) URL), fallback to
+// assets/background.png, and to a plain white 1080x1080 canvas if even that is missing.
+// Sources the sandbox rejects fail the render instead.
+async function loadBackground(template, data, log, logWarn) {
+  if (template?.background) {
+    const source = resolvePlaceholders(template.background, data);
+    try {
+      log("load-background: template path", source);
+      const bgImage = await loadImage(await loadAsset(source, { name: "background", log }));
+      log("load-background: template path ok");
+      return bgImage;
+    } catch (e) {
+      if (e instanceof SourceRejectedError) throw e;
+      logWarn("load-background: template path failed, falling back to assets/background.png", e?.message || e);
+    }
+  }
+
+  const fallbackBg = path.join(assetsDir, "background.png");
+  log("load-background: fallback path", fallbackBg);
+  try {
+    const bgImage = await loadImage(fallbackBg);
+    log("load-background: fallback ok");
+    return bgImage;
+  } catch (bgErr) {
+    logWarn("Background image not found, creating default canvas");
+    const defaultCanvas = createCanvas(1080, 1080);
+    const defaultCtx = defaultCanvas.getContext("2d");
+    defaultCtx.fillStyle = "#ffffff";
+    defaultCtx.fillRect(0, 0, 1080, 1080);
+    return defaultCanvas;
+  }
+}
+
+// Draws elements in order. Report entries of elements inside repeat groups are
+// prefixed with the slot they belong to ("top10[2].name").
+async function drawElements(ctx, elements, data, report, log, prefix = "") {
+  const label = (entry) => (prefix ? { ...entry, element: `${prefix}.${entry.element}` } : entry);
+
+  for (const element of elements || []) {
+    const skipped = checkVisibility(element, data);
+    if (skipped) {
+      log("element skipped", label(skipped));
+      report.skipped.push(label(skipped));
+      continue;
+    }
+    const type = element.type;
+    if (type === "image") {
+      const fallback = await drawImageElement(ctx, element, data, log);
+      if (fallback) report.fallbacks.push(label(fallback));
+    } else if (SHAPE_TYPES.includes(type)) {
+      drawShapeElement(ctx, element, data, log);
+    } else if (type === "text") {
+      const fit = drawTextElement(ctx, element, data, log);
+      if (fit) report.text.push(label(fit));
+    } else if (type === "repeat") {
+      const { slots, summary } = layoutRepeat(element, data);
+      log("element:repeat", summary);
+      report.repeat.push(label(summary));
+      for (const slot of slots) {
+        ctx.save();
+        ctx.translate(slot.origin.x, slot.origin.y);
+        const slotPrefix = prefix ? `${prefix}.${slot.label}` : slot.label;
+        await drawElements(ctx, slot.elements, slot.data, report, log, slotPrefix);
+        ctx.restore();
+      }
+    }
+  }
+}
+
+// Canvas sized for the template with its background drawn
+async function backgroundCanvas(template, data, log, logWarn) {
+  const bgImage = await loadBackground(template, data, log, logWarn);
+
+  // Size presets may fix the canvas size; otherwise it follows the background
+  const width = template?.width || bgImage.width || 1080;
+  const height = template?.height || bgImage.height || 1080;
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext("2d");
+  log("canvas-setup", { width, height, bgWidth: bgImage.width, bgHeight: bgImage.height });
+
+  // Draw background full-size, cropped to cover when the aspect ratios differ
+  const scale = Math.max(width / (bgImage.width || width), height / (bgImage.height || height));
+  const bgWidth = (bgImage.width || width) * scale;
+  const bgHeight = (bgImage.height || height) * scale;
+  ctx.drawImage(bgImage, (width - bgWidth) / 2, (height - bgHeight) / 2, bgWidth, bgHeight);
+  return canvas;
+}
+
+// Each element is drawn once onto a layer; runs of still elements share one.
+// Frames are then composed from the layers, so images are fetched and
+// filtered once per render rather than once per frame.
+async function renderFrames(template, data, background, report, log) {
+  const { width, height } = background;
+  const layers = [{ canvas: background, animation: null }];
+  let still = null;
+  for (const element of template?.elements || []) {
+    let layer = still;
+    if (element?.animation || !still) {
+      layer = { canvas: createCanvas(width, height), animation: element?.animation || null, element };
+      layers.push(layer);
+      still = element?.animation ? null : layer;
+    }
+    await drawElements(layer.canvas.getContext("2d"), [element], data, report, log);
+  }
+
+  const timeline = frameTimeline(template?.animation);
+  const confetti = createConfetti(template?.animation?.confetti, width, height, timeline.duration);
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext("2d");
+  const frames = [];
+  for (const time of timeline.times) {
+    ctx.clearRect(0, 0, width, height);
+    layers.forEach((layer, i) => {
+      paintLayer(ctx, layer, time, timeline.duration);
+      if (i === 0 && confetti?.layer === "back") drawConfetti(ctx, confetti, time);
+    });
+    if (confetti?.layer === "front") drawConfetti(ctx, confetti, time);
+    // Frames are only an intermediate step, so speed beats size here
+    frames.push(canvas.toBuffer("image/png", { compressionLevel: 1 }));
+  }
+
+  const { times, delays, loop, ...summary } = timeline;
+  report.animation = { frames: frames.length, ...summary };
+  log("animation", report.animation);
+  return { canvas, animation: { frames, delays, loop } };
+}
+
+// Renders template + data. Returns { canvas, report } where report describes
+// decisions made while drawing: text fitting, elements skipped by visibleIf,
+// how many items each repeat group drew and images replaced by a fallback. With `animate` the template's
+// animation is rendered too: the result adds { animation: { frames, delays, loop } }
+// (PNG buffers, one per frame) and canvas holds the last frame.
+export async function renderTemplate(template, data, { log = noop, logWarn = noop, animate = false } = {}) {
+  const canvas = await backgroundCanvas(template, data, log, logWarn);
+  const report = { text: [], skipped: [], repeat: [], fallbacks: [] };
+
+  if (animate) {
+    return { ...(await renderFrames(template, data, canvas, report, log)), report };
+  }
+  await drawElements(canvas.getContext("2d"), template?.elements, data, report, log);
+  return { canvas, report };
+}
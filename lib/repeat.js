@@ -0,0 +1,87 @@
+import { RenderError } from "./errors.js";
+import { getPath } from "./placeholders.js";
+
+// "repeat" groups draw their child elements once per item of an array in the data:
+//   {
+//     "type": "repeat", "name": "top10", "source": "entries",
+//     "x": 60, "y": 220, "layout": "column", "itemHeight": 80, "gap": 12,
+//     "max": 10, "overflow": "more",
+//     "elements": [{ "type": "text", "x": 0, "y": 50, "text": "{{ position }}. {{ name }}" }],
+//     "more": [{ "type": "text", "x": 0, "y": 50, "text": "+{{ remaining }} more" }]
+//   }
+// Child coordinates are relative to the item's slot. Slots are laid out in a
+// "row" (itemWidth + gap apart), a "column" (itemHeight + gap apart) or a
+// "grid" of "columns" columns. Inside the group, placeholders and visibleIf see
+// the request data plus the item's own fields, "item", "index" (from 0),
+// "position" (from 1) and "total".
+// Past "max" items, "overflow" decides: "clip" drops the rest, "more" uses the
+// last slot for the "more" elements (with "remaining" set) and "error" fails the
+// request with 422.
+
+export const REPEAT_LAYOUTS = ["row", "column", "grid"];
+export const REPEAT_OVERFLOWS = ["clip", "more", "error"];
+// Keys a repeat group adds to the data its children see
+export const REPEAT_KEYS = ["item", "index", "position", "total", "remaining"];
+
+function slotOrigin(element, index) {
+  const x = element.x ?? 0;
+  const y = element.y ?? 0;
+  const gap = element.gap ?? 0;
+  const stepX = (element.itemWidth ?? 0) + gap;
+  const stepY = (element.itemHeight ?? 0) + gap;
+
+  if (element.layout === "row") return { x: x + index * stepX, y };
+  if (element.layout === "grid") {
+    const columns = Math.max(1, element.columns ?? 1);
+    return { x: x + (index % columns) * stepX, y: y + Math.floor(index / columns) * stepY };
+  }
+  return { x, y: y + index * stepY };
+}
+
+function itemScope(data, item, index, total) {
+  const fields = item && typeof item === "object" && !Array.isArray(item) ? item : {};
+  return { ...data, ...fields, item, index, position: index + 1, total };
+}
+
+// Slots to draw: [{ origin, data, elements, label }] plus a summary for the report
+export function layoutRepeat(element, data) {
+  const name = element.name || "repeat";
+  const value = getPath(data, String(element.source).split("."));
+  const items = Array.isArray(value) ? value : [];
+  const total = items.length;
+  const max = element.max ?? total;
+  const overflow = element.overflow || "clip";
+
+  if (total > max && overflow === "error") {
+    throw new RenderError(`'${element.source}' has ${total} items; '${name}' shows at most ${max}`, {
+      details: { element: name, total, max },
+    });
+  }
+
+  const useMore = total > max && overflow === "more" && max > 0;
+  const shown = total > max ? (useMore ? max - 1 : max) : total;
+  const slots = items.slice(0, shown).map((item, index) => ({
+    origin: slotOrigin(element, index),
+    data: itemScope(data, item, index, total),
+    elements: element.elements || [],
+    label: `${name}[${index}]`,
+  }));
+  if (useMore) {
+    slots.push({
+      origin: slotOrigin(element, shown),
+      data: { ...data, total, remaining: total - shown },
+      elements: element.more || [],
+      label: `${name}[more]`,
+    });
+  }
+
+  return {
+    slots,
+    summary: {
+      element: name,
+      total,
+      drawn: shown,
+      ...(total > shown ? { overflow, hidden: total - shown } : {}),
+    },
+  };
+}
@@ -0,0 +1,193 @@
+import path from "path";
+import fs from "fs/promises";
+import { dataDir } from "./data-dir.js";
+
+// Retention for stored images. Only names this service generates are touched
+// (<uuid>.<ext>, preview-<uuid>.<ext>, batch-<uuid>.zip):
+//   RETENTION_PREVIEW_MINUTES  previews live this long (default 60)
+//   RETENTION_RENDER_DAYS      renders and batch ZIPs live this long (default 30)
+//   RETENTION_MAX_MB           total budget; least recently read files go first (default 1024)
+//   RETENTION_SWEEP_MINUTES    how often the sweeper runs (default 10)
+// 0 turns a limit off. Every eviction leaves a tombstone in <DATA_DIR>/retention.json so
+// /i can answer 410 Gone instead of 404 for a while (RETENTION_TOMBSTONE_DAYS, default 30).
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const MB = 1024 * 1024;
+
+function setting(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== "" && Number.isFinite(value) ? value : fallback;
+}
+
+export const retentionPolicy = {
+  previewTtlMs: setting("RETENTION_PREVIEW_MINUTES", 60) * MINUTE,
+  renderTtlMs: setting("RETENTION_RENDER_DAYS", 30) * DAY,
+  maxBytes: setting("RETENTION_MAX_MB", 1024) * MB,
+  sweepIntervalMs: setting("RETENTION_SWEEP_MINUTES", 10) * MINUTE,
+  tombstoneTtlMs: setting("RETENTION_TOMBSTONE_DAYS", 30) * DAY,
+};
+
+const stateFile = process.env.RETENTION_STATE || path.join(dataDir, "retention.json");
+const uuid = "[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}";
+const previewPattern = new RegExp(`^preview-${uuid}\\.[a-z]+$`);
+const renderPattern = new RegExp(`^(${uuid}\\.[a-z]+|batch-${uuid}\\.zip)$`);
+
+const tombstones = new Map();
+let storage = null;
+let lastSweep = null;
+let sweeping = null;
+
+// "preview", "render", or null for files retention leaves alone
+export function fileKind(name) {
+  if (previewPattern.test(name)) return "preview";
+  if (renderPattern.test(name)) return "render";
+  return null;
+}
+
+async function persist() {
+  const body = JSON.stringify({ evicted: Object.fromEntries(tombstones) }, null, 2);
+  await fs.mkdir(path.dirname(stateFile), { recursive: true });
+  await fs.writeFile(`${stateFile}.tmp`, body);
+  await fs.rename(`${stateFile}.tmp`, stateFile);
+}
+
+function pruneTombstones(now) {
+  if (!retentionPolicy.tombstoneTtlMs) return;
+  for (const [name, record] of tombstones) {
+    if (now - Date.parse(record.evictedAt) > retentionPolicy.tombstoneTtlMs) tombstones.delete(name);
+  }
+}
+
+// Tombstone for an evicted file: { evictedAt, reason } or null
+export function evicted(name) {
+  return tombstones.get(name) || null;
+}
+
+async function evict(files, reason, log) {
+  let bytes = 0;
+  const removed = [];
+  const evictedAt = new Date().toISOString();
+  for (const file of files) {
+    try {
+      await storage.remove(file.name);
+    } catch (err) {
+      log(`retention: failed to remove ${file.name}`, err.message);
+      continue;
+    }
+    tombstones.set(file.name, { evictedAt, reason });
+    removed.push(file.name);
+    bytes += file.size;
+  }
+  return { removed, bytes };
+}
+
+// Files retention manages, with their kind
+async function managedFiles() {
+  return (await storage.list())
+    .map((file) => ({ ...file, kind: fileKind(file.name) }))
+    .filter((file) => file.kind);
+}
+
+// Applies the TTLs, then the budget. Returns what was removed and why.
+export async function sweep({ log = console.log } = {}) {
+  if (sweeping) return sweeping;
+  sweeping = (async () => {
+    const now = Date.now();
+    const files = await managedFiles();
+    const ttl = { preview: retentionPolicy.previewTtlMs, render: retentionPolicy.renderTtlMs };
+    const expired = files.filter((file) => ttl[file.kind] && now - file.modified.getTime() > ttl[file.kind]);
+    const ttlResult = await evict(expired, "ttl", log);
+
+    // Least recently read first until the rest fits the budget
+    const remaining = files.filter((file) => !ttlResult.removed.includes(file.name));
+    let total = remaining.reduce((sum, file) => sum + file.size, 0);
+    const overBudget = [];
+    if (retentionPolicy.maxBytes) {
+      remaining.sort((a, b) => a.accessed - b.accessed);
+      for (const file of remaining) {
+        if (total <= retentionPolicy.maxBytes) break;
+        overBudget.push(file);
+        total -= file.size;
+      }
+    }
+    const budgetResult = await evict(overBudget, "budget", log);
+
+    pruneTombstones(now);
+    await persist();
+    lastSweep = {
+      at: new Date(now).toISOString(),
+      expired: ttlResult.removed.length,
+      evicted: budgetResult.removed.length,
+      freedBytes: ttlResult.bytes + budgetResult.bytes,
+    };
+    if (lastSweep.expired || lastSweep.evicted) log("retention: sweep", lastSweep);
+    return lastSweep;
+  })();
+  try {
+    return await sweeping;
+  } finally {
+    sweeping = null;
+  }
+}
+
+export const PURGE_SCOPES = ["expired", "previews", "renders", "all"];
+
+// Removes files on request. scope: "previews", "renders", "all" or "expired"
+// (the normal policy, right now); names limits it to those files.
+export async function purge({ scope = "expired", names, log = console.log } = {}) {
+  if (scope === "expired") return { scope, ...(await sweep({ log })) };
+
+  const kinds = { previews: ["preview"], renders: ["render"], all: ["preview", "render"] }[scope];
+  const wanted = Array.isArray(names) ? new Set(names) : null;
+  const files = (await managedFiles()).filter(
+    (file) => kinds.includes(file.kind) && (!wanted || wanted.has(file.name))
+  );
+  const { removed, bytes } = await evict(files, "purge", log);
+  await persist();
+  log("retention: purge", { scope, removed: removed.length, bytes });
+  return { scope, removed: removed.length, freedBytes: bytes, names: removed };
+}
+
+// Storage usage by kind, with the policy and the last sweep
+export async function usage() {
+  const files = await storage.list();
+  const summary = { total: { files: 0, bytes: 0 } };
+  for (const kind of ["preview", "render", "other"]) summary[kind] = { files: 0, bytes: 0 };
+  for (const file of files) {
+    const kind = fileKind(file.name) || "other";
+    summary[kind].files++;
+    summary[kind].bytes += file.size;
+    summary.total.files++;
+    summary.total.bytes += file.size;
+  }
+  return {
+    driver: storage.driver,
+    ...summary,
+    managedBytes: summary.preview.bytes + summary.render.bytes,
+    policy: {
+      previewTtlMinutes: retentionPolicy.previewTtlMs / MINUTE,
+      renderTtlDays: retentionPolicy.renderTtlMs / DAY,
+      maxMb: retentionPolicy.maxBytes / MB,
+      sweepMinutes: retentionPolicy.sweepIntervalMs / MINUTE,
+    },
+    tombstones: tombstones.size,
+    lastSweep,
+  };
+}
+
+// Loads tombstones, sweeps once and then on an interval
+export async function startRetention(storageDriver) {
+  storage = storageDriver;
+  try {
+    const state = JSON.parse(await fs.readFile(stateFile, "utf8"));
+    for (const [name, record] of Object.entries(state.evicted || {})) tombstones.set(name, record);
+  } catch (err) {
+    if (err.code !== "ENOENT") console.warn("Ignoring unreadable retention state:", err.message);
+  }
+
+  const run = () => sweep().catch((err) => console.error("retention: sweep failed", err));
+  await run();
+  if (retentionPolicy.sweepIntervalMs) setInterval(run, retentionPolicy.sweepIntervalMs).unref();
+  return { ...retentionPolicy, tombstones: tombstones.size };
+}
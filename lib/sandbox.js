@@ -0,0 +1,146 @@
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import path from "path";
+import { RenderError } from "./errors.js";
+
+// Where image and background sources may come from. They often arrive through
+// placeholders in caller data, so:
+//   - local paths resolve inside assets/ ("avatars/a.png" or "assets/avatars/a.png");
+//     anything that ends up outside it is rejected
+//   - remote sources must be http(s), on a host ASSET_ALLOWED_HOSTS permits (when
+//     set) and not on one ASSET_BLOCKED_HOSTS lists. Both are comma-separated;
+//     "*.example.com" also matches every subdomain.
+//   - remote hosts must not resolve to loopback, private, link-local or other
+//     non-public addresses. The check runs on the address actually connected
+//     to, for every redirect hop. ASSET_ALLOW_PRIVATE_NETWORKS=true lifts it
+//     (local development only).
+// Rejections are SourceRejectedErrors (400). Job callbacks (lib/jobs.js) use the
+// same address checks, without the image host lists.
+
+const assetsDir = path.join(process.cwd(), "assets");
+
+export class SourceRejectedError extends RenderError {
+  constructor(source, reason) {
+    super(`Image source '${source}' is not allowed: ${reason}`, { status: 400, details: { source } });
+    this.name = "SourceRejectedError";
+    this.reason = reason;
+  }
+}
+
+function hostList(value) {
+  return (value || "")
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+const allowedHosts = hostList(process.env.ASSET_ALLOWED_HOSTS);
+const blockedHosts = hostList(process.env.ASSET_BLOCKED_HOSTS);
+const allowPrivateNetworks = process.env.ASSET_ALLOW_PRIVATE_NETWORKS === "true";
+
+const nonPublic = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  nonPublic.addSubnet(network, prefix, "ipv4");
+}
+// Ranges that embed an IPv4 address (IPv4-compatible, NAT64, 6to4) are blocked
+// whole, since the address they reach may be one of the ranges above
+for (const [network, prefix] of [
+  ["::", 96],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["64:ff9b:1::", 48],
+  ["100::", 64],
+  ["2002::", 16],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  nonPublic.addSubnet(network, prefix, "ipv6");
+}
+
+function matchesHost(hostname, pattern) {
+  if (pattern.startsWith("*.")) return hostname === pattern.slice(2) || hostname.endsWith(pattern.slice(1));
+  return hostname === pattern;
+}
+
+// True for addresses a render must never connect to
+export function isBlockedAddress(address) {
+  if (allowPrivateNetworks) return false;
+  // BlockList also matches IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) against the IPv4 ranges
+  const family = net.isIP(address);
+  return family ? nonPublic.check(address, family === 6 ? "ipv6" : "ipv4") : true;
+}
+
+// Absolute path of a local source inside assets/; throws SourceRejectedError otherwise
+export function resolveLocalPath(source) {
+  const relative = path.isAbsolute(source) ? source : source.replace(/^(\.[\\/])?assets[\\/]/, "");
+  const resolved = path.resolve(assetsDir, relative);
+  if (!resolved.startsWith(assetsDir + path.sep)) {
+    throw new SourceRejectedError(source, "local files must be inside assets/");
+  }
+  return resolved;
+}
+
+// Checks a remote URL before each request (the first one and every redirect).
+// hostLists: false skips ASSET_ALLOWED_HOSTS / ASSET_BLOCKED_HOSTS.
+export function checkRemoteUrl(url, { hostLists = true } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new SourceRejectedError(url, "not a valid URL");
+  }
+  if (!["http:", "https:"].includes(parsed.protocol)) {
+    throw new SourceRejectedError(url, "only http and https are supported");
+  }
+  const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, "");
+  if (hostLists && blockedHosts.some((pattern) => matchesHost(hostname, pattern))) {
+    throw new SourceRejectedError(url, `host ${hostname} is blocked`);
+  }
+  if (hostLists && allowedHosts.length && !allowedHosts.some((pattern) => matchesHost(hostname, pattern))) {
+    throw new SourceRejectedError(url, `host ${hostname} is not on the allow list`);
+  }
+  // IP literals never go through DNS, so they are checked here
+  if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+    throw new SourceRejectedError(url, `address ${hostname} is not public`);
+  }
+  return parsed;
+}
+
+// dns.lookup that refuses non-public addresses. Used by the agents below, so
+// the address checked is the one the socket connects to.
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      const error = new Error(`${hostname} resolves to ${blocked.address}, which is not public`);
+      error.code = "ESOURCEREJECTED";
+      return callback(error);
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ keepAlive: true, lookup: guardedLookup });
+const httpsAgent = new https.Agent({ keepAlive: true, lookup: guardedLookup });
+
+// node-fetch "agent" option for sandboxed requests
+export function sandboxAgent(parsedUrl) {
+  return parsedUrl.protocol === "http:" ? httpAgent : httpsAgent;
+}
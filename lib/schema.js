@@ -0,0 +1,583 @@
+import { CONFETTI_LAYERS, EASINGS } from "./animation.js";
+import { conditionErrors } from "./conditions.js";
+import { coerceInput } from "./contract.js";
+import { placeholderErrors } from "./placeholders.js";
+import { IMAGE_CLIPS, IMAGE_FITS, IMAGE_POSITIONS, SMART_CROPS } from "./image.js";
+import { OUTPUT_FORMATS } from "./output.js";
+import { GRADIENT_TYPES } from "./paint.js";
+import { REPEAT_LAYOUTS, REPEAT_OVERFLOWS } from "./repeat.js";
+import { LINE_CAPS } from "./shapes.js";
+import { applySize } from "./sizes.js";
+import { TEXT_FIT_MODES, TEXT_VERTICAL_ALIGNS } from "./text.js";
+
+// Strict template schema. Each element type lists every property it accepts;
+// anything else, a wrong type or a missing required property is reported with
+// the element name and the JSON path of the offending field.
+
+const placeholderPattern = /\{\{.*?\}\}/;
+const colorPattern = /^(#[0-9a-f]{3,4}|#[0-9a-f]{6}|#[0-9a-f]{8}|(rgb|rgba|hsl|hsla)\([^)]*\)|[a-z]+)$/i;
+
+export const INPUT_TYPES = ["string", "number", "color", "url", "array"];
+
+export function isColor(value) {
+  return typeof value === "string" && colorPattern.test(value.trim());
+}
+
+const number = (options = {}) => ({ type: "number", ...options });
+const string = (options = {}) => ({ type: "string", ...options });
+const color = (options = {}) => ({ type: "color", ...options });
+const oneOf = (values, options = {}) => ({ type: "enum", values, ...options });
+const boolean = (options = {}) => ({ type: "boolean", ...options });
+const any = (options = {}) => ({ type: "any", ...options });
+const object = (fields, options = {}) => ({ type: "object", fields, ...options });
+const array = (items, options = {}) => ({ type: "array", items, ...options });
+// An object with free-form keys, every value matching the spec
+const record = (values, options = {}) => ({ type: "record", values, ...options });
+// A value matching any of the specs; it is checked against the spec for its kind (number, array, ...)
+const either = (...options) => ({ type: "either", options });
+const required = (spec) => ({ ...spec, required: true });
+
+const position = {
+  x: required(number()),
+  y: required(number()),
+};
+
+const gradient = object({
+  type: oneOf(GRADIENT_TYPES),
+  angle: number(),
+  stops: required(
+    array(
+      object({
+        offset: required(number({ min: 0, max: 1 })),
+        color: required(color()),
+      }),
+      { minItems: 2 }
+    )
+  ),
+});
+
+const shadow = object({
+  color: color(),
+  blur: number({ min: 0 }),
+  offsetX: number(),
+  offsetY: number(),
+});
+
+const shapeStroke = object({
+  color: required(color()),
+  width: required(number({ min: 0 })),
+  dash: array(number({ min: 0 })),
+  cap: oneOf(LINE_CAPS),
+});
+
+const shapeStyle = {
+  color: color(),
+  gradient,
+  stroke: shapeStroke,
+  opacity: number({ min: 0, max: 1 }),
+};
+
+const box = {
+  width: required(number({ min: 0 })),
+  height: required(number({ min: 0 })),
+};
+
+// Image fallbacks: a source, a generated initials avatar, or a list of those
+const initialsAvatar = object({
+  initials: required(string()),
+  background: color(),
+  color: color(),
+  font: string({ nonEmpty: true }),
+});
+const imageFallback = either(string({ nonEmpty: true }), initialsAvatar);
+
+// One radius for every corner, or one per corner
+const cornerRadius = either(number({ min: 0 }), array(number({ min: 0 })));
+
+const elementSchemas = {
+  image: {
+    ...position,
+    width: required(number({ min: 0 })),
+    height: required(number({ min: 0 })),
+    source: required(string({ nonEmpty: true })),
+    fallback: either(string({ nonEmpty: true }), initialsAvatar, array(imageFallback, { minItems: 1 })),
+    fit: oneOf(IMAGE_FITS),
+    position: either(
+      oneOf(IMAGE_POSITIONS),
+      object({
+        x: required(number({ min: 0, max: 1 })),
+        y: required(number({ min: 0, max: 1 })),
+      })
+    ),
+    crop: oneOf(SMART_CROPS),
+    clip: oneOf(IMAGE_CLIPS),
+    radius: cornerRadius,
+    points: array(array(number(), { minItems: 2, maxItems: 2 }), { minItems: 3 }),
+    mask: string({ nonEmpty: true }),
+    border: object({
+      width: required(number({ min: 0 })),
+      color: required(color()),
+    }),
+    filters: object({
+      grayscale: boolean(),
+      blur: number({ min: 0 }),
+      brightness: number({ min: 0 }),
+      contrast: number({ min: 0 }),
+      tint: color(),
+      duotone: array(color(), { minItems: 2, maxItems: 2 }),
+    }),
+  },
+  text: {
+    ...position,
+    text: required(string()),
+    font: string({ nonEmpty: true }),
+    fontSize: number({ min: 1 }),
+    color: color(),
+    align: oneOf(["left", "center", "right"]),
+    maxWidth: number({ min: 1 }),
+    maxHeight: number({ min: 1 }),
+    fit: oneOf(TEXT_FIT_MODES),
+    minFontSize: number({ min: 1 }),
+    wrap: boolean(),
+    lineHeight: number({ min: 0.1 }),
+    maxLines: number({ min: 1, integer: true }),
+    verticalAlign: oneOf(TEXT_VERTICAL_ALIGNS),
+    stroke: object({
+      color: required(color()),
+      width: required(number({ min: 0 })),
+    }),
+    shadow,
+    gradient,
+    letterSpacing: number(),
+  },
+  rectangle: {
+    ...position,
+    ...box,
+    radius: cornerRadius,
+    ...shapeStyle,
+  },
+  ellipse: {
+    ...position,
+    ...box,
+    ...shapeStyle,
+  },
+  line: {
+    ...position,
+    x2: required(number()),
+    y2: required(number()),
+    stroke: required(shapeStroke),
+    opacity: shapeStyle.opacity,
+  },
+  polygon: {
+    ...position,
+    points: required(array(array(number(), { minItems: 2, maxItems: 2 }), { minItems: 3 })),
+    radius: cornerRadius,
+    ...shapeStyle,
+  },
+  star: {
+    ...position,
+    ...box,
+    spikes: number({ min: 2, integer: true }),
+    innerRadius: number({ min: 0, max: 1 }),
+    radius: cornerRadius,
+    ...shapeStyle,
+  },
+  // Child elements are checked one by one in checkElement
+  repeat: {
+    ...position,
+    source: required(string({ nonEmpty: true })),
+    layout: oneOf(REPEAT_LAYOUTS),
+    itemWidth: number({ min: 0 }),
+    itemHeight: number({ min: 0 }),
+    columns: number({ min: 1, integer: true }),
+    gap: number(),
+    max: number({ min: 0, integer: true }),
+    overflow: oneOf(REPEAT_OVERFLOWS),
+    elements: required(array(any())),
+    more: array(any()),
+  },
+};
+
+export const ELEMENT_TYPES = Object.keys(elementSchemas);
+
+const elementAnimation = object({
+  delay: number({ min: 0 }),
+  duration: number({ min: 1 }),
+  easing: oneOf(EASINGS),
+  keyframes: required(
+    array(
+      object({
+        at: required(number({ min: 0, max: 1 })),
+        offsetX: number(),
+        offsetY: number(),
+        opacity: number({ min: 0, max: 1 }),
+        scale: number({ min: 0 }),
+      }),
+      { minItems: 1 }
+    )
+  ),
+});
+
+const templateAnimation = object({
+  duration: number({ min: 100, max: 10000 }),
+  fps: number({ min: 1, max: 50 }),
+  loop: number({ min: 0, integer: true }),
+  hold: number({ min: 0, max: 10000 }),
+  confetti: object({
+    count: number({ min: 0, max: 300, integer: true }),
+    colors: array(color(), { minItems: 1 }),
+    seed: number({ integer: true }),
+    layer: oneOf(CONFETTI_LAYERS),
+  }),
+});
+
+const inputSchema = object({
+  name: required(string({ nonEmpty: true })),
+  type: oneOf(INPUT_TYPES),
+  required: boolean(),
+  default: any(),
+  description: string(),
+});
+
+const lookupVariablesSchema = record(any());
+
+const lookupSchema = object({
+  key: required(string({ nonEmpty: true })),
+  values: required(record(lookupVariablesSchema)),
+  default: lookupVariablesSchema,
+});
+
+// Element overrides are checked against the merged element in checkSizes
+const sizeSchema = object({
+  background: string({ nonEmpty: true }),
+  width: number({ min: 1, integer: true }),
+  height: number({ min: 1, integer: true }),
+  elements: record(record(any())),
+});
+
+const templateSchema = {
+  name: string(),
+  background: string({ nonEmpty: true }),
+  inputs: array(inputSchema),
+  lookups: array(lookupSchema),
+  sizes: record(sizeSchema),
+  animation: templateAnimation,
+  output: object({
+    format: oneOf(OUTPUT_FORMATS),
+    quality: number({ min: 1, max: 100, integer: true }),
+  }),
+};
+
+// The JavaScript type each spec type accepts, for "either" specs
+const valueKinds = { color: "string", enum: "string" };
+
+function describe(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function checkValue(spec, value, path, report) {
+  switch (spec.type) {
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return report(path, `must be a number, got ${describe(value)}`);
+      }
+      if (spec.min !== undefined && value < spec.min) {
+        return report(path, `must be >= ${spec.min}`);
+      }
+      if (spec.max !== undefined && value > spec.max) {
+        return report(path, `must be <= ${spec.max}`);
+      }
+      if (spec.integer && !Number.isInteger(value)) {
+        return report(path, "must be a whole number");
+      }
+      return;
+    case "string":
+      if (typeof value !== "string") {
+        return report(path, `must be a string, got ${describe(value)}`);
+      }
+      if (spec.nonEmpty && !value.trim()) {
+        return report(path, "must not be empty");
+      }
+      return;
+    case "color":
+      if (typeof value !== "string") {
+        return report(path, `must be a color string, got ${describe(value)}`);
+      }
+      if (!placeholderPattern.test(value) && !isColor(value)) {
+        return report(path, `'${value}' is not a valid color or placeholder`);
+      }
+      return;
+    case "boolean":
+      if (typeof value !== "boolean") {
+        return report(path, `must be true or false, got ${describe(value)}`);
+      }
+      return;
+    case "any":
+      return;
+    case "enum":
+      if (!spec.values.includes(value)) {
+        return report(path, `must be one of ${spec.values.map((v) => JSON.stringify(v)).join(", ")}`);
+      }
+      return;
+    case "either": {
+      const kind = describe(value);
+      const match = spec.options.find((option) => (valueKinds[option.type] ?? option.type) === kind);
+      if (!match) {
+        return report(path, `must be a ${spec.options.map((option) => valueKinds[option.type] ?? option.type).join(" or ")}, got ${kind}`);
+      }
+      return checkValue(match, value, path, report);
+    }
+    case "object":
+      if (value === null || typeof value !== "object" || Array.isArray(value)) {
+        return report(path, `must be an object, got ${describe(value)}`);
+      }
+      return checkFields(spec.fields, value, path, report);
+    case "record":
+      if (value === null || typeof value !== "object" || Array.isArray(value)) {
+        return report(path, `must be an object, got ${describe(value)}`);
+      }
+      return Object.entries(value).forEach(([key, item]) => checkValue(spec.values, item, `${path}.${key}`, report));
+    case "array":
+      if (!Array.isArray(value)) {
+        return report(path, `must be an array, got ${describe(value)}`);
+      }
+      if (spec.minItems !== undefined && value.length < spec.minItems) {
+        report(path, `must have at least ${spec.minItems} items`);
+      }
+      if (spec.maxItems !== undefined && value.length > spec.maxItems) {
+        report(path, `must have at most ${spec.maxItems} items`);
+      }
+      return value.forEach((item, i) => checkValue(spec.items, item, `${path}[${i}]`, report));
+  }
+}
+
+function checkFields(fields, value, path, report) {
+  for (const [key, spec] of Object.entries(fields)) {
+    const fieldPath = `${path}.${key}`;
+    if (value[key] === undefined) {
+      if (spec.required) report(fieldPath, "is required");
+      continue;
+    }
+    checkValue(spec, value[key], fieldPath, report);
+  }
+  for (const key of Object.keys(value)) {
+    if (!(key in fields)) report(`${path}.${key}`, "is not a recognised property");
+  }
+}
+
+// Layout fields each repeat layout needs to space its slots
+function checkRepeat(element, path, report) {
+  const layout = element.layout ?? "column";
+  if ((layout === "row" || layout === "grid") && element.itemWidth === undefined) {
+    report(`${path}.itemWidth`, `is required for the "${layout}" layout`);
+  }
+  if ((layout === "column" || layout === "grid") && element.itemHeight === undefined) {
+    report(`${path}.itemHeight`, `is required for the "${layout}" layout`);
+  }
+  if (element.columns !== undefined && layout !== "grid") {
+    report(`${path}.columns`, 'only applies to the "grid" layout');
+  }
+  if (element.more !== undefined && element.overflow !== "more") {
+    report(`${path}.more`, 'only applies when overflow is "more"');
+  }
+}
+
+// Corners a per-corner radius list must cover, when the shape has a fixed number
+function cornerCount(element) {
+  const shape = element.type === "image" ? element.clip : element.type;
+  if (shape === "rectangle" || shape === "rounded-rect") return 4;
+  if (shape === "hexagon") return 6;
+  if (shape === "star") return (element.spikes ?? 5) * 2;
+  if (shape === "polygon") return element.points?.length;
+  return undefined;
+}
+
+function checkElement(element, path, errors, nested = false) {
+  const name = typeof element?.name === "string" ? element.name : null;
+  const report = (fieldPath, message) => errors.push({ element: name, path: fieldPath, message });
+
+  if (element === null || typeof element !== "object" || Array.isArray(element)) {
+    return report(path, `must be an object, got ${describe(element)}`);
+  }
+  if (!elementSchemas[element.type]) {
+    return report(`${path}.type`, `must be one of ${ELEMENT_TYPES.map((t) => JSON.stringify(t)).join(", ")}`);
+  }
+  const { type, name: elementName, visibleIf, animation, ...rest } = element;
+  if (elementName !== undefined) {
+    checkValue(string({ nonEmpty: true }), elementName, `${path}.name`, report);
+  }
+  if (visibleIf !== undefined) {
+    checkValue(string({ nonEmpty: true }), visibleIf, `${path}.visibleIf`, report);
+    if (typeof visibleIf === "string" && visibleIf.trim()) {
+      for (const message of conditionErrors(visibleIf)) report(`${path}.visibleIf`, message);
+    }
+  }
+  if (animation !== undefined) {
+    if (nested) report(`${path}.animation`, "only applies to top-level elements");
+    else checkValue(elementAnimation, animation, `${path}.animation`, report);
+  }
+  if (type === "repeat") {
+    const { elements, more, ...own } = rest;
+    checkFields(elementSchemas.repeat, rest, path, report);
+    checkPlaceholders(own, path, report);
+    checkRepeat(element, path, report);
+    for (const key of ["elements", "more"]) {
+      if (!Array.isArray(element[key])) continue;
+      element[key].forEach((child, i) => checkElement(child, `${path}.${key}[${i}]`, errors, true));
+    }
+    return;
+  }
+  checkFields(elementSchemas[type], rest, path, report);
+  checkPlaceholders(rest, path, report);
+
+  if (type === "text" && element.wrap && element.maxWidth === undefined) {
+    report(`${path}.maxWidth`, "is required when wrap is true");
+  }
+  if (type === "image" && element.clip === "polygon" && element.points === undefined) {
+    report(`${path}.points`, "is required when clip is \"polygon\"");
+  }
+  if (type === "image" && typeof element.mask === "string" && /(^|[\\/])\.\.([\\/]|$)|^[\\/]/.test(element.mask)) {
+    report(`${path}.mask`, "must be a path inside assets/");
+  }
+  if (Array.isArray(element.radius)) {
+    const corners = cornerCount(element);
+    if (corners && element.radius.length !== corners) {
+      report(`${path}.radius`, `must have one value per corner (${corners})`);
+    }
+  }
+}
+
+// Placeholder syntax in every string of the template, wherever it appears
+function checkPlaceholders(value, path, report) {
+  if (typeof value === "string") {
+    for (const message of placeholderErrors(value)) report(path, message);
+  } else if (Array.isArray(value)) {
+    value.forEach((item, i) => checkPlaceholders(item, `${path}[${i}]`, report));
+  } else if (value && typeof value === "object") {
+    for (const [key, item] of Object.entries(value)) checkPlaceholders(item, `${path}.${key}`, report);
+  }
+}
+
+// Cross-field checks the per-field specs cannot express
+function checkInputs(inputs, report) {
+  const seen = new Set();
+  inputs.forEach((spec, i) => {
+    if (!spec || typeof spec.name !== "string") return;
+    if (seen.has(spec.name)) report(`$.inputs[${i}].name`, `duplicate input '${spec.name}'`);
+    seen.add(spec.name);
+    if (spec.default !== undefined && INPUT_TYPES.includes(spec.type ?? "string")) {
+      const { error } = coerceInput(spec.type ?? "string", spec.default);
+      if (error) report(`$.inputs[${i}].default`, error);
+    }
+  });
+}
+
+// Lookup variables that feed a declared input must suit its type
+function checkLookups(lookups, inputs, report) {
+  const types = new Map();
+  for (const spec of Array.isArray(inputs) ? inputs : []) {
+    if (spec && typeof spec.name === "string") types.set(spec.name, spec.type ?? "string");
+  }
+  lookups.forEach((lookup, i) => {
+    if (!lookup || typeof lookup !== "object") return;
+    const sets = [
+      ...Object.entries(lookup.values && typeof lookup.values === "object" ? lookup.values : {}).map(
+        ([match, vars]) => [`$.lookups[${i}].values.${match}`, vars]
+      ),
+      [`$.lookups[${i}].default`, lookup.default],
+    ];
+    for (const [path, vars] of sets) {
+      if (!vars || typeof vars !== "object") continue;
+      for (const [name, value] of Object.entries(vars)) {
+        if (!types.has(name) || !INPUT_TYPES.includes(types.get(name))) continue;
+        const { error } = coerceInput(types.get(name), value);
+        if (error) report(`${path}.${name}`, `${error} (input '${name}')`);
+      }
+    }
+  });
+}
+
+// Size presets: width and height come together, and element overrides must
+// name existing elements and leave them valid
+function checkSizes(template, errors) {
+  const report = (path, message) => errors.push({ element: null, path, message });
+  const names = new Set(flattenElements(template.elements).map((element) => element?.name));
+
+  for (const [size, preset] of Object.entries(template.sizes)) {
+    if (preset === null || typeof preset !== "object" || Array.isArray(preset)) continue;
+    const path = `$.sizes.${size}`;
+    if ((preset.width === undefined) !== (preset.height === undefined)) {
+      report(`${path}.${preset.width === undefined ? "width" : "height"}`, "is required when the other dimension is set");
+    }
+    const overrides = preset.elements;
+    if (overrides === null || typeof overrides !== "object" || Array.isArray(overrides)) continue;
+
+    const original = byName(template.elements);
+    const sized = byName(applySize(template, size).elements);
+    const topLevel = new Set((Array.isArray(template.elements) ? template.elements : []).map((element) => element?.name));
+    for (const name of Object.keys(overrides)) {
+      if (!names.has(name)) {
+        report(`${path}.elements.${name}`, "does not match any element name");
+        continue;
+      }
+      // Only problems the override introduces; the element's own are reported where it is declared
+      const check = (element) => {
+        const found = [];
+        checkElement(ownFields(element), `${path}.elements.${name}`, found, !topLevel.has(name));
+        return found;
+      };
+      const known = new Set(check(original.get(name)).map((error) => `${error.path} ${error.message}`));
+      errors.push(...check(sized.get(name)).filter((error) => !known.has(`${error.path} ${error.message}`)));
+    }
+  }
+}
+
+// First element with each name, repeat children included
+function byName(elements) {
+  const found = new Map();
+  for (const element of flattenElements(elements)) {
+    if (typeof element?.name === "string" && !found.has(element.name)) found.set(element.name, element);
+  }
+  return found;
+}
+
+// A repeat group without its children, which are checked on their own
+function ownFields(element) {
+  return element?.type === "repeat" ? { ...element, elements: [], ...(element.more ? { more: [] } : {}) } : element;
+}
+
+function flattenElements(elements) {
+  return (Array.isArray(elements) ? elements : []).flatMap((element) =>
+    element?.type === "repeat"
+      ? [element, ...flattenElements(element.elements), ...flattenElements(element.more)]
+      : [element]
+  );
+}
+
+// Returns a list of { element, path, message }; an empty list means the template is valid
+export function validateTemplate(template) {
+  const errors = [];
+  const report = (path, message) => errors.push({ element: null, path, message });
+
+  if (template === null || typeof template !== "object" || Array.isArray(template)) {
+    report("$", `template must be an object, got ${describe(template)}`);
+    return errors;
+  }
+
+  const { elements, ...rest } = template;
+  if (!Array.isArray(elements)) {
+    report("$.elements", elements === undefined ? "is required" : `must be an array, got ${describe(elements)}`);
+  } else {
+    elements.forEach((element, i) => checkElement(element, `$.elements[${i}]`, errors));
+  }
+  checkFields(templateSchema, rest, "$", report);
+  const { inputs, ...templateStrings } = rest;
+  checkPlaceholders(templateStrings, "$", report);
+  if (Array.isArray(template.inputs)) checkInputs(template.inputs, report);
+  if (Array.isArray(template.lookups)) checkLookups(template.lookups, template.inputs, report);
+  if (template.sizes && typeof template.sizes === "object" && !Array.isArray(template.sizes)) checkSizes(template, errors);
+
+  return errors;
+}
@@ -0,0 +1,147 @@
+import { resolvePlaceholders } from "./placeholders.js";
+import { resolveFill } from "./paint.js";
+
+// Vector shape elements.
+//
+//   rectangle  x, y, width, height; radius is a number or [topLeft, topRight, bottomRight, bottomLeft]
+//   ellipse    x, y, width, height (the bounding box)
+//   line       from x, y to x2, y2; needs a stroke
+//   polygon    points: [[x, y], ...] relative to x, y; radius rounds every corner or one per point
+//   star       x, y, width, height; spikes (default 5), innerRadius as a fraction of the outer
+//              radius (default 0.5); radius rounds the corners, one per tip/valley starting at the top
+//
+// Every shape accepts "color" or "gradient" (see paint.js) for the fill,
+// "stroke" { color, width, dash: [on, off, ...], cap } and "opacity" (0-1).
+// A shape with a stroke but no color or gradient is drawn as an outline only.
+
+export const SHAPE_TYPES = ["rectangle", "ellipse", "line", "polygon", "star"];
+export const LINE_CAPS = ["butt", "round", "square"];
+
+function cornerRadii(radius, count) {
+  if (Array.isArray(radius)) return Array.from({ length: count }, (_, i) => radius[i] ?? 0);
+  return new Array(count).fill(radius || 0);
+}
+
+// radius is a number or one value per corner, clockwise from the top left
+export function drawRoundedRect(ctx, x, y, width, height, radius) {
+  const limit = Math.min(width, height) / 2;
+  const [tl, tr, br, bl] = cornerRadii(radius, 4).map((r) => Math.max(0, Math.min(r, limit)));
+  ctx.beginPath();
+  ctx.moveTo(x + tl, y);
+  ctx.lineTo(x + width - tr, y);
+  ctx.quadraticCurveTo(x + width, y, x + width, y + tr);
+  ctx.lineTo(x + width, y + height - br);
+  ctx.quadraticCurveTo(x + width, y + height, x + width - br, y + height);
+  ctx.lineTo(x + bl, y + height);
+  ctx.quadraticCurveTo(x, y + height, x, y + height - bl);
+  ctx.lineTo(x, y + tl);
+  ctx.quadraticCurveTo(x, y, x + tl, y);
+  ctx.closePath();
+}
+
+// Closed path through points with each corner rounded by its radius. A radius
+// is capped at half the shorter neighbouring edge so corners never overlap.
+export function drawRoundedPolygon(ctx, points, radius) {
+  const radii = cornerRadii(radius, points.length);
+  const n = points.length;
+  const mid = (a, b) => [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+  const dist = (a, b) => Math.hypot(b[0] - a[0], b[1] - a[1]);
+
+  ctx.beginPath();
+  const start = mid(points[n - 1], points[0]);
+  ctx.moveTo(start[0], start[1]);
+  points.forEach((point, i) => {
+    const prev = points[(i - 1 + n) % n];
+    const next = points[(i + 1) % n];
+    const r = Math.max(0, Math.min(radii[i], dist(prev, point) / 2, dist(point, next) / 2));
+    if (r) {
+      ctx.arcTo(point[0], point[1], next[0], next[1], r);
+    } else {
+      ctx.lineTo(point[0], point[1]);
+    }
+  });
+  ctx.closePath();
+}
+
+function starPoints(x, y, width, height, spikes, innerRadius) {
+  const cx = x + width / 2;
+  const cy = y + height / 2;
+  const points = [];
+  for (let i = 0; i < spikes * 2; i++) {
+    const scale = i % 2 === 0 ? 1 : innerRadius;
+    const angle = -Math.PI / 2 + (i * Math.PI) / spikes;
+    points.push([cx + Math.cos(angle) * (width / 2) * scale, cy + Math.sin(angle) * (height / 2) * scale]);
+  }
+  return points;
+}
+
+// Traces the element's path and returns its bounding box (used to place gradients)
+function tracePath(ctx, element) {
+  const x = element.x ?? 0;
+  const y = element.y ?? 0;
+  const width = element.width ?? 0;
+  const height = element.height ?? 0;
+
+  switch (element.type) {
+    case "rectangle":
+      drawRoundedRect(ctx, x, y, width, height, element.radius ?? 0);
+      return { x, y, width, height };
+    case "ellipse":
+      ctx.beginPath();
+      ctx.ellipse(x + width / 2, y + height / 2, width / 2, height / 2, 0, 0, Math.PI * 2);
+      ctx.closePath();
+      return { x, y, width, height };
+    case "line": {
+      const x2 = element.x2 ?? x;
+      const y2 = element.y2 ?? y;
+      ctx.beginPath();
+      ctx.moveTo(x, y);
+      ctx.lineTo(x2, y2);
+      return { x: Math.min(x, x2), y: Math.min(y, y2), width: Math.abs(x2 - x), height: Math.abs(y2 - y) };
+    }
+    case "polygon": {
+      const points = (element.points || []).map(([px, py]) => [x + px, y + py]);
+      drawRoundedPolygon(ctx, points, element.radius ?? 0);
+      const xs = points.map((p) => p[0]);
+      const ys = points.map((p) => p[1]);
+      const left = Math.min(...xs);
+      const top = Math.min(...ys);
+      return { x: left, y: top, width: Math.max(...xs) - left, height: Math.max(...ys) - top };
+    }
+    case "star": {
+      const points = starPoints(x, y, width, height, element.spikes ?? 5, element.innerRadius ?? 0.5);
+      drawRoundedPolygon(ctx, points, element.radius ?? 0);
+      return { x, y, width, height };
+    }
+  }
+  return null;
+}
+
+export function drawShapeElement(ctx, element, data, log) {
+  const name = element.name || element.type;
+  const stroke = element.stroke?.width ? element.stroke : null;
+  const filled = element.type !== "line" && (element.gradient || element.color || !stroke);
+
+  ctx.save();
+  ctx.globalAlpha = Math.min(1, Math.max(0, element.opacity ?? 1));
+  const box = tracePath(ctx, element);
+  if (!box) {
+    ctx.restore();
+    return;
+  }
+
+  if (filled) {
+    ctx.fillStyle = resolveFill(ctx, element, box, data);
+    ctx.fill();
+  }
+  if (stroke) {
+    ctx.strokeStyle = resolvePlaceholders(stroke.color ?? "#000000", data) || "#000000";
+    ctx.lineWidth = stroke.width;
+    ctx.lineCap = stroke.cap || "butt";
+    ctx.lineJoin = "round";
+    ctx.setLineDash(stroke.dash || []);
+    ctx.stroke();
+  }
+  ctx.restore();
+  log(`element:${element.type} drawn`, { name, ...box, filled: Boolean(filled), stroke: stroke?.width ?? 0 });
+}
@@ -0,0 +1,67 @@
+import { RenderError } from "./errors.js";
+
+// Named size presets, so one template covers several aspect ratios:
+//   "sizes": {
+//     "story": {
+//       "background": "assets/background-story.png",
+//       "width": 1080, "height": 1920,
+//       "elements": { "avatar": { "y": 520 }, "name": { "y": 1180, "fontSize": 72 } }
+//     }
+//   }
+// A preset replaces the background and, with "width" and "height", fixes the
+// canvas size (the background is then cropped to cover it). "elements" overrides
+// properties of the elements with those names, inside repeat groups too.
+// Requests pick presets with "size": "story" or "sizes": ["feed", "story"];
+// without either the template renders at its own size.
+
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object || {}, key);
+}
+
+function hasSize(template, name) {
+  return hasOwn(template?.sizes, name);
+}
+
+function overrideElements(elements, overrides) {
+  return (elements || []).map((element) => {
+    const own = typeof element?.name === "string" && hasOwn(overrides, element.name) ? overrides[element.name] : null;
+    const next = own ? { ...element, ...own } : element;
+    if (next?.type !== "repeat") return next;
+    return {
+      ...next,
+      elements: overrideElements(next.elements, overrides),
+      ...(Array.isArray(next.more) ? { more: overrideElements(next.more, overrides) } : {}),
+    };
+  });
+}
+
+// Size presets a request body asks for: [null] means the template's own size.
+// Throws RenderError (400) for unknown names or when both fields are sent.
+export function requestedSizes({ size, sizes }, template) {
+  if (size !== undefined && sizes !== undefined) {
+    throw new RenderError("Send either size or sizes, not both", { status: 400 });
+  }
+  if (sizes !== undefined && (!Array.isArray(sizes) || !sizes.length)) {
+    throw new RenderError("sizes must be a non-empty array of size names", { status: 400 });
+  }
+
+  const names = sizes ?? [size ?? null];
+  const available = Object.keys(template?.sizes || {});
+  for (const name of names) {
+    if (name === null && sizes === undefined) continue;
+    if (typeof name !== "string" || !hasSize(template, name)) {
+      throw new RenderError(`Unknown size '${name}'`, { status: 400, details: { sizes: available } });
+    }
+  }
+  return [...new Set(names)];
+}
+
+// The template as drawn for one size preset; a null name returns it unchanged
+export function applySize(template, name) {
+  if (name === null || name === undefined) return template;
+  if (!hasSize(template, name)) {
+    throw new RenderError(`Unknown size '${name}'`, { status: 400, details: { sizes: Object.keys(template?.sizes || {}) } });
+  }
+  const { elements: overrides = {}, ...canvas } = template.sizes[name];
+  return { ...template, ...canvas, elements: overrideElements(template.elements, overrides) };
+}
@@ -0,0 +1,184 @@
+import path from "path";
+import fs from "fs/promises";
+import { createReadStream } from "fs";
+
+// Where rendered images are kept. STORAGE_DRIVER picks the driver:
+//   local (default)  files in public/, served by the /i route
+//   s3               an S3-compatible bucket (AWS, MinIO, R2, ...) configured by
+//                    S3_BUCKET, S3_REGION, S3_ENDPOINT, S3_ACCESS_KEY_ID,
+//                    S3_SECRET_ACCESS_KEY, S3_PREFIX and S3_FORCE_PATH_STYLE
+// PUBLIC_BASE_URL is the prefix stored names are appended to in returned URLs,
+// e.g. https://cards.example.com/i or a CDN in front of the bucket.
+// A local MinIO works as a stand-in for S3:
+//   docker run -p 9000:9000 minio/minio server /data
+//   STORAGE_DRIVER=s3 S3_ENDPOINT=http://localhost:9000 S3_BUCKET=cards \
+//   S3_ACCESS_KEY_ID=minioadmin S3_SECRET_ACCESS_KEY=minioadmin npm start
+// (the bucket must exist and allow anonymous reads for the returned URLs to open).
+// Every driver has the same methods:
+//   put(name, buffer, contentType) -> url
+//   putFile(name, filePath, contentType) -> url, moving a finished temp file in
+//   read(name) -> Buffer, or null when it is missing
+//   remove(name)
+//   list() -> [{ name, size, modified, accessed }] (dates; accessed is the last
+//             read through /i for local files, the upload time for objects)
+//   url(name)
+
+// URL the service has always returned for files in public/
+const LEGACY_BASE_URL = "https://ranking-celebration-image-render-api.onrender.com/i";
+
+function joinUrl(base, name) {
+  return `${base.replace(/\/+$/, "")}/${name}`;
+}
+
+function createLocalStorage({ dir, baseUrl }) {
+  const filePath = (name) => path.join(dir, path.basename(name));
+  const url = (name) => joinUrl(baseUrl, name);
+
+  return {
+    driver: "local",
+    dir,
+    url,
+    async put(name, buffer) {
+      await fs.writeFile(filePath(name), buffer);
+      return url(name);
+    },
+    async putFile(name, source) {
+      // copy + unlink, since temp files may live on another device
+      await fs.copyFile(source, filePath(name));
+      await fs.unlink(source).catch(() => {});
+      return url(name);
+    },
+    async read(name) {
+      try {
+        return await fs.readFile(filePath(name));
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+    },
+    async remove(name) {
+      await fs.rm(filePath(name), { force: true });
+    },
+    async list() {
+      const files = [];
+      for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        if (!entry.isFile()) continue;
+        try {
+          const stat = await fs.stat(path.join(dir, entry.name));
+          files.push({ name: entry.name, size: stat.size, modified: stat.mtime, accessed: stat.atime });
+        } catch {
+          // removed while listing
+        }
+      }
+      return files;
+    },
+    // Marks a file as just read. atime is set explicitly because most mounts
+    // (noatime, relatime) do not keep it current on their own.
+    async touch(name, stat) {
+      await fs.utimes(filePath(name), new Date(), stat.mtime);
+    },
+  };
+}
+
+async function createS3Storage(env) {
+  const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand, ListObjectsV2Command } = await import(
+    "@aws-sdk/client-s3"
+  );
+  const bucket = env.S3_BUCKET;
+  if (!bucket) throw new Error("STORAGE_DRIVER=s3 needs S3_BUCKET");
+
+  const region = env.S3_REGION || "us-east-1";
+  const endpoint = env.S3_ENDPOINT || undefined;
+  // MinIO and most self-hosted stores only understand path-style addressing
+  const forcePathStyle = env.S3_FORCE_PATH_STYLE ? env.S3_FORCE_PATH_STYLE === "true" : Boolean(endpoint);
+  const prefix = (env.S3_PREFIX || "").replace(/^\/+|\/+$/g, "");
+  const key = (name) => (prefix ? `${prefix}/${name}` : name);
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    // Default checksums stream uploads as aws-chunked, which not every S3-compatible store accepts
+    requestChecksumCalculation: "WHEN_REQUIRED",
+    ...(env.S3_ACCESS_KEY_ID
+      ? { credentials: { accessKeyId: env.S3_ACCESS_KEY_ID, secretAccessKey: env.S3_SECRET_ACCESS_KEY || "" } }
+      : {}),
+  });
+
+  const baseUrl =
+    env.PUBLIC_BASE_URL ||
+    (endpoint && forcePathStyle
+      ? joinUrl(endpoint, bucket)
+      : endpoint
+        ? endpoint.replace("://", `://${bucket}.`)
+        : `https://${bucket}.s3.${region}.amazonaws.com`);
+  const url = (name) => joinUrl(baseUrl, key(name));
+
+  // Rendered names are unique, so objects can be cached for as long as they exist
+  const cacheControl = "public, max-age=604800, immutable";
+
+  return {
+    driver: "s3",
+    bucket,
+    url,
+    async put(name, buffer, contentType) {
+      await client.send(
+        new PutObjectCommand({ Bucket: bucket, Key: key(name), Body: buffer, ContentType: contentType, CacheControl: cacheControl })
+      );
+      return url(name);
+    },
+    async putFile(name, source, contentType) {
+      const { size } = await fs.stat(source);
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key(name),
+          Body: createReadStream(source),
+          ContentLength: size,
+          ContentType: contentType,
+          CacheControl: cacheControl,
+        })
+      );
+      await fs.unlink(source).catch(() => {});
+      return url(name);
+    },
+    async read(name) {
+      try {
+        const resp = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key(name) }));
+        return Buffer.from(await resp.Body.transformToByteArray());
+      } catch (err) {
+        if (err.name === "NoSuchKey" || err.$metadata?.httpStatusCode === 404) return null;
+        throw err;
+      }
+    },
+    async remove(name) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key(name) }));
+    },
+    async list() {
+      const files = [];
+      let token;
+      do {
+        const page = await client.send(
+          new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix ? `${prefix}/` : undefined, ContinuationToken: token })
+        );
+        for (const object of page.Contents || []) {
+          const name = prefix ? object.Key.slice(prefix.length + 1) : object.Key;
+          if (name.includes("/")) continue;
+          files.push({ name, size: object.Size, modified: object.LastModified, accessed: object.LastModified });
+        }
+        token = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (token);
+      return files;
+    },
+  };
+}
+
+// Builds the driver named by STORAGE_DRIVER. publicDir is where the local driver writes.
+export async function createStorage({ publicDir, env = process.env }) {
+  const driver = (env.STORAGE_DRIVER || "local").toLowerCase();
+  if (driver === "s3") return createS3Storage(env);
+  if (driver !== "local") throw new Error(`Unknown STORAGE_DRIVER '${driver}' (expected local or s3)`);
+
+  await fs.mkdir(publicDir, { recursive: true });
+  return createLocalStorage({ dir: publicDir, baseUrl: env.PUBLIC_BASE_URL || LEGACY_BASE_URL });
+}
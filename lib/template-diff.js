@@ -0,0 +1,82 @@
+// Element-by-element diff between two template versions. Elements are matched
+// by name (falling back to their position for unnamed or duplicate names) so a
+// reordered layer shows up as "moved" rather than as a remove + add.
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Flattens nested values into JSON-path keyed leaves, e.g. { "border.color": "#fff" }
+function flatten(value, prefix, out) {
+  if (isPlainObject(value)) {
+    const keys = Object.keys(value);
+    if (!keys.length && prefix) out[prefix] = value;
+    for (const key of keys) {
+      flatten(value[key], prefix ? `${prefix}.${key}` : key, out);
+    }
+  } else if (Array.isArray(value)) {
+    if (!value.length && prefix) out[prefix] = value;
+    value.forEach((item, i) => flatten(item, `${prefix}[${i}]`, out));
+  } else {
+    out[prefix] = value;
+  }
+  return out;
+}
+
+function diffValues(from, to) {
+  const a = flatten(from ?? {}, "", {});
+  const b = flatten(to ?? {}, "", {});
+  const changes = [];
+  for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    if (JSON.stringify(a[key]) !== JSON.stringify(b[key])) {
+      changes.push({ path: key, from: a[key], to: b[key] });
+    }
+  }
+  return changes;
+}
+
+function keyElements(elements) {
+  const counts = new Map();
+  for (const element of elements) {
+    if (element?.name) counts.set(element.name, (counts.get(element.name) || 0) + 1);
+  }
+  return elements.map((element, index) => ({
+    key: element?.name && counts.get(element.name) === 1 ? element.name : `#${index}`,
+    index,
+    element,
+  }));
+}
+
+export function diffTemplates(from, to) {
+  const { elements: fromElements = [], ...fromRest } = from || {};
+  const { elements: toElements = [], ...toRest } = to || {};
+
+  const before = keyElements(fromElements);
+  const after = new Map(keyElements(toElements).map((entry) => [entry.key, entry]));
+  const elements = [];
+
+  for (const entry of before) {
+    const match = after.get(entry.key);
+    if (!match) {
+      elements.push({ element: entry.key, status: "removed", index: entry.index });
+      continue;
+    }
+    after.delete(entry.key);
+    const changes = diffValues(entry.element, match.element);
+    if (changes.length) {
+      elements.push({ element: entry.key, status: "changed", index: match.index, changes });
+    } else if (entry.index !== match.index) {
+      elements.push({ element: entry.key, status: "moved", from: entry.index, to: match.index });
+    }
+  }
+  for (const entry of after.values()) {
+    elements.push({ element: entry.key, status: "added", index: entry.index });
+  }
+
+  const template = diffValues(fromRest, toRest);
+  return {
+    identical: !template.length && !elements.length,
+    template,
+    elements,
+  };
+}
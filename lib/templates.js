@@ -0,0 +1,185 @@
+import path from "path";
+import fs from "fs/promises";
+
+// Template registry: every templates/<id>.json file is one named template.
+// "default" is the template used when a request does not name one.
+// Each save is also kept as a numbered revision in templates/history/<id>/.
+const templatesDir = path.join(process.cwd(), "templates");
+const historyDir = path.join(templatesDir, "history");
+export const DEFAULT_TEMPLATE_ID = "default";
+
+const templateIdPattern = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+const cache = new Map();
+const changeListeners = [];
+
+// listener(id) runs after a template is saved, rolled back or deleted
+export function onTemplateChange(listener) {
+  changeListeners.push(listener);
+}
+
+function notifyChange(id) {
+  for (const listener of changeListeners) listener(id);
+}
+
+export function isValidTemplateId(id) {
+  return typeof id === "string" && templateIdPattern.test(id);
+}
+
+function templateFile(id) {
+  return path.join(templatesDir, `${id}.json`);
+}
+
+export async function listTemplates() {
+  const entries = await fs.readdir(templatesDir, { withFileTypes: true });
+  const templates = [];
+  for (const entry of entries) {
+    if (!entry.isFile() || !entry.name.endsWith(".json")) continue;
+    const id = entry.name.slice(0, -".json".length);
+    if (!isValidTemplateId(id)) continue;
+    const template = await getTemplate(id);
+    if (!template) continue;
+    templates.push({
+      id,
+      name: template.name || id,
+      elements: template.elements?.length || 0,
+      default: id === DEFAULT_TEMPLATE_ID,
+    });
+  }
+  return templates.sort((a, b) => a.id.localeCompare(b.id));
+}
+
+export async function getTemplate(id = DEFAULT_TEMPLATE_ID) {
+  if (!isValidTemplateId(id)) return null;
+  if (cache.has(id)) return cache.get(id);
+  try {
+    const json = await fs.readFile(templateFile(id), "utf8");
+    const template = JSON.parse(json);
+    cache.set(id, template);
+    return template;
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      console.error(`Failed to load template ${id}:`, err);
+    }
+    return null;
+  }
+}
+
+export async function templateExists(id) {
+  if (!isValidTemplateId(id)) return false;
+  try {
+    await fs.access(templateFile(id));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function revisionsDir(id) {
+  return path.join(historyDir, id);
+}
+
+function revisionFile(id, revision) {
+  return path.join(revisionsDir(id), `${String(revision).padStart(6, "0")}.json`);
+}
+
+async function revisionNumbers(id) {
+  if (!isValidTemplateId(id)) return [];
+  try {
+    const files = await fs.readdir(revisionsDir(id));
+    return files
+      .filter((name) => /^\d+\.json$/.test(name))
+      .map((name) => parseInt(name, 10))
+      .sort((a, b) => a - b);
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+}
+
+async function writeRevision(id, template, meta = {}) {
+  await fs.mkdir(revisionsDir(id), { recursive: true });
+  // "wx" fails if a concurrent save grabbed the same number, so just try the next one
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const numbers = await revisionNumbers(id);
+    const revision = (numbers[numbers.length - 1] || 0) + 1;
+    const record = { revision, createdAt: new Date().toISOString(), ...meta, template };
+    try {
+      await fs.writeFile(revisionFile(id, revision), JSON.stringify(record, null, 2), { flag: "wx" });
+      return record;
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+    }
+  }
+  throw new Error(`Could not allocate a revision number for template ${id}`);
+}
+
+export async function listRevisions(id) {
+  const numbers = await revisionNumbers(id);
+  const revisions = [];
+  for (const revision of numbers) {
+    const { template, ...meta } = await getRevision(id, revision);
+    revisions.push({ ...meta, elements: template?.elements?.length || 0 });
+  }
+  return revisions.reverse();
+}
+
+export async function getRevision(id, revision) {
+  if (!isValidTemplateId(id) || !Number.isInteger(revision) || revision < 1) return null;
+  try {
+    return JSON.parse(await fs.readFile(revisionFile(id, revision), "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+export async function latestRevision(id) {
+  const numbers = await revisionNumbers(id);
+  return numbers.length ? numbers[numbers.length - 1] : 0;
+}
+
+// Writes the template and records it as a new revision. Templates that existed
+// before history was kept get their on-disk version recorded first, so the very
+// first save through the API can still be rolled back.
+export async function saveTemplate(id, template, meta = { message: "Saved" }) {
+  await fs.mkdir(templatesDir, { recursive: true });
+  if ((await latestRevision(id)) === 0) {
+    const previous = await getTemplate(id);
+    if (previous) {
+      await writeRevision(id, previous, { message: "Initial version" });
+    }
+  }
+  const record = await writeRevision(id, template, meta);
+  await fs.writeFile(templateFile(id), JSON.stringify(template, null, 2));
+  cache.set(id, template);
+  notifyChange(id);
+  return record;
+}
+
+export async function rollbackTemplate(id, revision) {
+  const target = await getRevision(id, revision);
+  if (!target) return null;
+  return saveTemplate(id, target.template, {
+    message: `Rolled back to revision ${revision}`,
+    restoredFrom: revision,
+  });
+}
+
+// Removes the template file but keeps its history. The deleted version is
+// recorded as a last revision, so rolling back to it restores the template.
+export async function deleteTemplate(id) {
+  if (!(await templateExists(id))) return false;
+  const current = await getTemplate(id);
+  if (current) {
+    await writeRevision(id, current, { message: "Deleted", deleted: true });
+  }
+  try {
+    await fs.unlink(templateFile(id));
+  } catch (err) {
+    if (err.code === "ENOENT") return false;
+    throw err;
+  }
+  cache.delete(id);
+  notifyChange(id);
+  return true;
+}
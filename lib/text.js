@@ -0,0 +1,347 @@
+import { resolvePlaceholders } from "./placeholders.js";
+import { resolveFill, applyShadow, clearShadow } from "./paint.js";
+
+// Text elements. A text element draws at its fontSize unless it declares a box
+// to stay inside (maxWidth and/or maxHeight) and a fit mode:
+//   "shrink"   step the font size down until the text fits, never below minFontSize
+//              (text that still overflows at minFontSize is truncated with …)
+//   "ellipsis" keep the font size and cut the text with …
+//   "scale"    keep the font size and squeeze the drawn text to the box
+// A box without a fit mode shrinks.
+//
+// With "wrap": true the text is broken into lines no wider than maxWidth.
+// lineHeight is a multiple of the font size, maxLines and maxHeight cap the
+// block (the last kept line gets …, or with fit "shrink" the font shrinks
+// first), and verticalAlign places the block around y: "top" puts the first
+// baseline on y, "middle" centres the block on y, "bottom" puts the last
+// baseline on y.
+//
+// Styling: "stroke" { color, width } outlines the glyphs (width is the visible
+// outline thickness), "shadow" { color, blur, offsetX, offsetY } shadows the
+// text, "gradient" (see paint.js) replaces the solid color and "letterSpacing"
+// adds that many pixels between characters. Colors may use placeholders.
+
+export const TEXT_FIT_MODES = ["shrink", "ellipsis", "scale"];
+export const TEXT_VERTICAL_ALIGNS = ["top", "middle", "bottom"];
+const DEFAULT_MIN_FONT_SIZE = 12;
+const DEFAULT_LINE_HEIGHT = 1.2;
+const ELLIPSIS = "…";
+
+const graphemeSegmenter = new Intl.Segmenter(undefined, { granularity: "grapheme" });
+// Thai is written without spaces between words; the "th" word segmenter knows
+// the dictionary boundaries and still splits Latin text on spaces
+const wordSegmenter = new Intl.Segmenter("th", { granularity: "word" });
+
+// Thai vowels and tone marks combine with the previous character, so text is
+// only ever cut on grapheme boundaries
+function graphemes(text) {
+  return Array.from(graphemeSegmenter.segment(text), (s) => s.segment);
+}
+
+export function fontString(fontSize, fontFamily) {
+  return `${fontSize}px "${fontFamily}", Arial, sans-serif`;
+}
+
+function measure(ctx, text, spacing = 0) {
+  const metrics = ctx.measureText(text);
+  const gaps = spacing && text ? graphemes(text).length - 1 : 0;
+  return {
+    width: metrics.width + spacing * gaps,
+    height: (metrics.actualBoundingBoxAscent || 0) + (metrics.actualBoundingBoxDescent || 0),
+    ascent: metrics.actualBoundingBoxAscent || 0,
+    descent: metrics.actualBoundingBoxDescent || 0,
+  };
+}
+
+function fitsBox(size, box) {
+  return (!box.maxWidth || size.width <= box.maxWidth) && (!box.maxHeight || size.height <= box.maxHeight);
+}
+
+// Longest prefix of text that, followed by …, fits maxWidth. Text that already
+// fits is returned untouched unless the … is forced (the text continues elsewhere).
+function truncateToWidth(ctx, text, maxWidth, { spacing = 0, forceEllipsis = false } = {}) {
+  if (!forceEllipsis && measure(ctx, text, spacing).width <= maxWidth) return text;
+  const chars = graphemes(text);
+  let low = 0;
+  let high = chars.length;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (measure(ctx, chars.slice(0, mid).join("").trimEnd() + ELLIPSIS, spacing).width <= maxWidth) low = mid;
+    else high = mid - 1;
+  }
+  return low ? chars.slice(0, low).join("").trimEnd() + ELLIPSIS : forceEllipsis ? ELLIPSIS : "";
+}
+
+// Works out the font size, text and scale to draw with. ctx.font is left set
+// to the chosen size.
+export function fitText(ctx, text, { fontSize, fontFamily, maxWidth, maxHeight, fit, minFontSize, letterSpacing = 0 }) {
+  const box = { maxWidth, maxHeight };
+  ctx.font = fontString(fontSize, fontFamily);
+  const natural = measure(ctx, text, letterSpacing);
+  const result = { text, fontSize, scaleX: 1, scaleY: 1, mode: fit, applied: false };
+
+  if (!fit || (!maxWidth && !maxHeight) || fitsBox(natural, box)) {
+    return result;
+  }
+  result.applied = true;
+
+  if (fit === "scale") {
+    if (maxWidth && natural.width > maxWidth) result.scaleX = maxWidth / natural.width;
+    if (maxHeight && natural.height > maxHeight) result.scaleY = maxHeight / natural.height;
+    return result;
+  }
+
+  if (fit === "shrink") {
+    const min = Math.min(fontSize, minFontSize ?? DEFAULT_MIN_FONT_SIZE);
+    // Text width grows roughly linearly with font size, so start from the ratio
+    // and walk down a pixel at a time for the exact fit
+    const ratio = Math.min(
+      maxWidth ? maxWidth / natural.width : 1,
+      maxHeight && natural.height ? maxHeight / natural.height : 1
+    );
+    let size = Math.max(min, Math.min(fontSize, Math.floor(fontSize * ratio)));
+    ctx.font = fontString(size, fontFamily);
+    while (size > min && !fitsBox(measure(ctx, text, letterSpacing), box)) {
+      size -= 1;
+      ctx.font = fontString(size, fontFamily);
+    }
+    result.fontSize = size;
+    if (fitsBox(measure(ctx, text, letterSpacing), box) || !maxWidth) return result;
+    result.truncated = true;
+  }
+
+  if (maxWidth) {
+    result.text = truncateToWidth(ctx, text, maxWidth, { spacing: letterSpacing });
+    result.truncated = result.text !== text;
+  }
+  return result;
+}
+
+// Splits a word that is wider than maxWidth on its own into grapheme chunks
+function breakLongWord(ctx, word, maxWidth, spacing) {
+  const pieces = [];
+  let current = "";
+  for (const ch of graphemes(word)) {
+    if (current && measure(ctx, current + ch, spacing).width > maxWidth) {
+      pieces.push(current);
+      current = ch;
+    } else {
+      current += ch;
+    }
+  }
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+// Greedy line breaking on word boundaries; explicit newlines always break
+export function wrapLines(ctx, text, maxWidth, spacing = 0) {
+  const lines = [];
+  for (const paragraph of text.split(/\r?\n/)) {
+    let line = "";
+    for (const { segment } of wordSegmenter.segment(paragraph)) {
+      const isSpace = !segment.trim();
+      if (isSpace && !line) continue;
+      if (measure(ctx, (line + segment).trimEnd(), spacing).width <= maxWidth) {
+        line += segment;
+        continue;
+      }
+      if (isSpace) continue;
+      if (line) lines.push(line.trimEnd());
+      const pieces =
+        measure(ctx, segment, spacing).width > maxWidth ? breakLongWord(ctx, segment, maxWidth, spacing) : [segment];
+      lines.push(...pieces.slice(0, -1));
+      line = pieces[pieces.length - 1];
+    }
+    lines.push(line.trimEnd());
+  }
+  return lines;
+}
+
+// Wraps text into lines for the element's box. ctx.font is left set to the
+// chosen size.
+export function layoutWrappedText(
+  ctx,
+  text,
+  { fontSize, fontFamily, maxWidth, maxHeight, maxLines, lineHeight, fit, minFontSize, letterSpacing = 0 }
+) {
+  const lineFactor = lineHeight ?? DEFAULT_LINE_HEIGHT;
+  const lineLimit = (size) => {
+    const byHeight = maxHeight ? Math.max(1, Math.floor(maxHeight / (size * lineFactor))) : Infinity;
+    return Math.min(maxLines ?? Infinity, byHeight);
+  };
+  const layout = (size) => {
+    ctx.font = fontString(size, fontFamily);
+    return wrapLines(ctx, text, maxWidth, letterSpacing);
+  };
+
+  let size = fontSize;
+  let lines = layout(size);
+  let applied = false;
+
+  if (fit === "shrink") {
+    const min = Math.min(fontSize, minFontSize ?? DEFAULT_MIN_FONT_SIZE);
+    while (size > min && lines.length > lineLimit(size)) {
+      size -= 1;
+      lines = layout(size);
+      applied = true;
+    }
+  }
+
+  let truncated = false;
+  const limit = lineLimit(size);
+  if (lines.length > limit) {
+    const kept = lines.slice(0, limit);
+    const last = kept.pop();
+    kept.push(truncateToWidth(ctx, last, maxWidth, { spacing: letterSpacing, forceEllipsis: true }));
+    lines = kept;
+    truncated = true;
+    applied = true;
+  }
+
+  return { lines, fontSize: size, lineHeight: size * lineFactor, applied, truncated };
+}
+
+// Draws one line honouring ctx.textAlign. node-canvas has no ctx.letterSpacing,
+// so spaced text is placed one grapheme at a time.
+function drawLine(ctx, text, x, y, spacing, paint) {
+  const draw = (part, px) => (paint === "stroke" ? ctx.strokeText(part, px, y) : ctx.fillText(part, px, y));
+  if (!spacing) return draw(text, x);
+
+  const align = ctx.textAlign;
+  const width = measure(ctx, text, spacing).width;
+  let cursor = align === "center" ? x - width / 2 : align === "right" ? x - width : x;
+  ctx.textAlign = "left";
+  for (const ch of graphemes(text)) {
+    draw(ch, cursor);
+    cursor += ctx.measureText(ch).width + spacing;
+  }
+  ctx.textAlign = align;
+}
+
+// Bounding box of all lines, used to size gradients
+function linesBox(ctx, lines, spacing) {
+  let left = Infinity;
+  let right = -Infinity;
+  let top = Infinity;
+  let bottom = -Infinity;
+  for (const line of lines) {
+    const size = measure(ctx, line.text, spacing);
+    const start = ctx.textAlign === "center" ? line.x - size.width / 2 : ctx.textAlign === "right" ? line.x - size.width : line.x;
+    left = Math.min(left, start);
+    right = Math.max(right, start + size.width);
+    top = Math.min(top, line.y - size.ascent);
+    bottom = Math.max(bottom, line.y + size.descent);
+  }
+  if (!lines.length) return { x: 0, y: 0, width: 1, height: 1 };
+  return { x: left, y: top, width: Math.max(1, right - left), height: Math.max(1, bottom - top) };
+}
+
+// Paints laid-out lines ([{ text, x, y }]) with the element's shadow, stroke and fill.
+// The shadow goes on the first paint only so an outlined text is not shadowed twice.
+function paintLines(ctx, lines, element, data) {
+  const spacing = element.letterSpacing ?? 0;
+  ctx.fillStyle = resolveFill(ctx, element, linesBox(ctx, lines, spacing), data);
+  applyShadow(ctx, element.shadow, data);
+
+  if (element.stroke?.width) {
+    ctx.strokeStyle = resolvePlaceholders(element.stroke.color ?? "#000000", data) || "#000000";
+    ctx.lineWidth = element.stroke.width * 2;
+    ctx.lineJoin = "round";
+    for (const line of lines) drawLine(ctx, line.text, line.x, line.y, spacing, "stroke");
+    clearShadow(ctx);
+  }
+  for (const line of lines) drawLine(ctx, line.text, line.x, line.y, spacing, "fill");
+  clearShadow(ctx);
+}
+
+function drawWrappedText(ctx, element, text, fontFamily, data, log) {
+  const name = element.name || "text";
+  const x = element.x ?? 0;
+  const y = element.y ?? 0;
+  const fontSize = element.fontSize ?? 24;
+
+  const layout = layoutWrappedText(ctx, text, {
+    fontSize,
+    fontFamily,
+    maxWidth: element.maxWidth,
+    maxHeight: element.maxHeight,
+    maxLines: element.maxLines,
+    lineHeight: element.lineHeight,
+    fit: element.fit,
+    minFontSize: element.minFontSize,
+    letterSpacing: element.letterSpacing,
+  });
+
+  const blockOffset = (layout.lines.length - 1) * layout.lineHeight;
+  const verticalAlign = element.verticalAlign || "top";
+  const firstBaseline = verticalAlign === "bottom" ? y - blockOffset : verticalAlign === "middle" ? y - blockOffset / 2 : y;
+
+  const lines = layout.lines.map((line, i) => ({ text: line, x, y: firstBaseline + i * layout.lineHeight }));
+  paintLines(ctx, lines, element, data);
+  log("element:text wrapped", { name, lines: layout.lines.length, fontSize: layout.fontSize, verticalAlign });
+
+  return {
+    element: name,
+    mode: "wrap",
+    applied: layout.applied,
+    fontSize: layout.fontSize,
+    originalFontSize: fontSize,
+    lines: layout.lines.length,
+    ...(layout.truncated ? { truncated: true } : {}),
+  };
+}
+
+// Draws one text element. Returns a fit report entry for elements that declare
+// a box or wrap, or null.
+export function drawTextElement(ctx, element, data, log) {
+  const name = element.name || "text";
+  const x = element.x ?? 0;
+  const y = element.y ?? 0;
+  const fontSize = element.fontSize ?? 24;
+  const text = resolvePlaceholders(element.text ?? "", data);
+  const align = (element.align || "left").toLowerCase();
+  const fontFamilyRaw = element.font || "DB-Adman-X";
+  const fontFamily = resolvePlaceholders(fontFamilyRaw, data) || "DB-Adman-X";
+
+  ctx.textAlign = ["left", "right", "center"].includes(align) ? align : "left";
+
+  if (element.wrap) {
+    return drawWrappedText(ctx, element, text, fontFamily, data, log);
+  }
+
+  const fitted = fitText(ctx, text, {
+    fontSize,
+    fontFamily,
+    maxWidth: element.maxWidth,
+    maxHeight: element.maxHeight,
+    fit: element.fit ?? (element.maxWidth || element.maxHeight ? "shrink" : undefined),
+    minFontSize: element.minFontSize,
+    letterSpacing: element.letterSpacing,
+  });
+
+  if (fitted.scaleX !== 1 || fitted.scaleY !== 1) {
+    ctx.save();
+    ctx.translate(x, y);
+    ctx.scale(fitted.scaleX, fitted.scaleY);
+    paintLines(ctx, [{ text: fitted.text, x: 0, y: 0 }], element, data);
+    ctx.restore();
+  } else {
+    paintLines(ctx, [{ text: fitted.text, x, y }], element, data);
+  }
+  log("element:text drawn", { name, x, y, fontSize: fitted.fontSize, align, fontFamily });
+
+  if (!element.maxWidth && !element.maxHeight) return null;
+  if (fitted.applied) {
+    log("element:text fit", { name, mode: fitted.mode, fontSize: fitted.fontSize, scaleX: fitted.scaleX });
+  }
+  return {
+    element: name,
+    mode: fitted.mode ?? "none",
+    applied: fitted.applied,
+    fontSize: fitted.fontSize,
+    originalFontSize: fontSize,
+    ...(fitted.scaleX !== 1 ? { scaleX: Number(fitted.scaleX.toFixed(3)) } : {}),
+    ...(fitted.scaleY !== 1 ? { scaleY: Number(fitted.scaleY.toFixed(3)) } : {}),
+    ...(fitted.truncated ? { truncated: true } : {}),
+  };
+}
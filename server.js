@@ -1,10 +1,39 @@
 import express from "express";
-import { createCanvas, loadImage, registerFont } from "canvas";
+import { createCanvas, registerFont } from "canvas";
 import path from "path";
-import fetch from "node-fetch";
 import fs from "fs/promises";
 import crypto from "crypto";
+import os from "os";
 import { fileURLToPath } from "url";
+import {
+  DEFAULT_TEMPLATE_ID,
+  isValidTemplateId,
+  listTemplates,
+  getTemplate,
+  templateExists,
+  saveTemplate,
+  deleteTemplate,
+  listRevisions,
+  getRevision,
+  latestRevision,
+  rollbackTemplate,
+  onTemplateChange,
+} from "./lib/templates.js";
+import { diffTemplates } from "./lib/template-diff.js";
+import { validateTemplate } from "./lib/schema.js";
+import { resolvePlaceholders } from "./lib/placeholders.js";
+import { applyContract, describeContract } from "./lib/contract.js";
+import { renderTemplate } from "./lib/renderer.js";
+import { RenderError } from "./lib/errors.js";
+import { CONTENT_TYPES, encodeImage, isAnimated, resolveOutput } from "./lib/output.js";
+import { applySize, requestedSizes } from "./lib/sizes.js";
+import { createStorage } from "./lib/storage.js";
+import { PURGE_SCOPES, evicted, purge, startRetention, usage } from "./lib/retention.js";
+import { assetCacheStats } from "./lib/fetcher.js";
+import { SourceRejectedError, checkRemoteUrl } from "./lib/sandbox.js";
+import { invalidateTemplate, lookupRender, rememberRender, renderCacheKey, renderCacheStats } from "./lib/render-cache.js";
+import { mapWithConcurrency, writeZip } from "./lib/batch.js";
+import { callbackSecret, createJob, getJob, publicJob, startJobs } from "./lib/jobs.js";
 
 const app = express();
 
@@ -23,67 +52,106 @@ try {
   console.error("❌ FONT ERROR:", e?.message || e);
   console.error("❌ FONT STACK:", e?.stack);
 }
-app.use(express.json());
+// Batch renders carry hundreds of items, more than the 100kb default allows
+app.use(express.json({ limit: "5mb" }));
 
-// Determine __dirname in ESM and ensure a public directory exists
+// Determine __dirname in ESM; rendered images go to the configured storage
+// driver, which by default writes to public/ (see lib/storage.js)
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const publicDir = path.join(__dirname, "public");
-try {
-  await fs.mkdir(publicDir, { recursive: true });
-} catch (e) {
-  console.warn("Warning: unable to create public directory:", e?.message || e);
-}
+const storage = await createStorage({ publicDir });
+console.log("Storage", { driver: storage.driver, example: storage.url("<name>") });
+console.log("Retention", await startRetention(storage));
 
-// Serve static images from /i
+// Serve images in public/ from /i; avif is missing from express's mime table,
+// so the Content-Type comes from the same list the encoder uses. Each read
+// counts as a use for the retention budget's least-recently-used order.
 app.use(
   "/i",
   express.static(publicDir, {
     maxAge: "7d",
+    setHeaders(res, filePath, stat) {
+      const contentType = CONTENT_TYPES[path.extname(filePath).toLowerCase()];
+      if (contentType) res.setHeader("Content-Type", contentType);
+      if (storage.touch) storage.touch(path.basename(filePath), stat).catch(() => {});
+    },
   })
 );
 
-// Load template JSON at startup
-const templatePath = path.join(process.cwd(), "templates", "template.json");
-let templateDefinition = null;
-async function loadTemplateDefinition() {
+// Files removed by retention are gone for good, not just missing
+app.use("/i", (req, res, next) => {
+  let name;
   try {
-    const json = await fs.readFile(templatePath, "utf8");
-    templateDefinition = JSON.parse(json);
-  } catch (err) {
-    console.error("Failed to load template.json:", err);
-    templateDefinition = null;
+    name = path.basename(decodeURIComponent(req.path));
+  } catch {
+    return next(); // malformed percent-encoding names no file we ever served
   }
-}
-await loadTemplateDefinition();
+  const tombstone = evicted(name);
+  if (!tombstone) return next();
+  res.status(410).json({ error: "Image has expired and was removed", ...tombstone });
+});
 
-function resolvePlaceholders(value, data) {
-  if (typeof value !== "string") return value;
-  return value.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => {
-    return data[key] ?? "";
-  });
+// Warm the default template at startup so a broken file shows up in the logs early
+if (!(await getTemplate(DEFAULT_TEMPLATE_ID))) {
+  console.error(`Failed to load default template (templates/${DEFAULT_TEMPLATE_ID}.json)`);
 }
 
-function drawRoundedRect(ctx, x, y, width, height, radius) {
-  const r = Math.max(0, Math.min(radius || 0, Math.min(width, height) / 2));
-  ctx.beginPath();
-  ctx.moveTo(x + r, y);
-  ctx.lineTo(x + width - r, y);
-  ctx.quadraticCurveTo(x + width, y, x + width, y + r);
-  ctx.lineTo(x + width, y + height - r);
-  ctx.quadraticCurveTo(x + width, y + height, x + width - r, y + height);
-  ctx.lineTo(x + r, y + height);
-  ctx.quadraticCurveTo(x, y + height, x, y + height - r);
-  ctx.lineTo(x, y + r);
-  ctx.quadraticCurveTo(x, y, x + r, y);
-  ctx.closePath();
+// Batch rendering limits; a request may ask for less concurrency, never more
+const BATCH_MAX_ITEMS = Number(process.env.BATCH_MAX_ITEMS) || 500;
+const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY) || 4;
+
+// Cached renders of a template are dropped as soon as it changes
+onTemplateChange((id) => {
+  const removed = invalidateTemplate(id);
+  if (removed) console.log("Render cache invalidated", { template: id, entries: removed });
+});
+
+// Storage usage by kind, the retention policy, the last sweep, and render and
+// asset cache counters
+app.get("/api/storage", async (req, res) => {
+  try {
+    res.json({ ...(await usage()), renderCache: renderCacheStats(), assetCache: await assetCacheStats() });
+  } catch (err) {
+    console.error("[storage-usage]", err);
+    res.status(500).json({ error: "Failed to read storage usage" });
+  }
+});
+
+// Purge on demand: { "scope": "expired" | "previews" | "renders" | "all", "names": [...] }
+app.post("/api/storage/purge", async (req, res) => {
+  const { scope = "expired", names } = req.body || {};
+  if (!PURGE_SCOPES.includes(scope)) {
+    return res.status(400).json({ error: `scope must be one of ${PURGE_SCOPES.join(", ")}` });
+  }
+  if (names !== undefined && (!Array.isArray(names) || names.some((name) => typeof name !== "string"))) {
+    return res.status(400).json({ error: "names must be an array of file names" });
+  }
+  if (names !== undefined && scope === "expired") {
+    return res.status(400).json({ error: "names needs a scope of previews, renders or all" });
+  }
+  try {
+    res.json(await purge({ scope, names }));
+  } catch (err) {
+    console.error("[storage-purge]", err);
+    res.status(500).json({ error: "Purge failed" });
+  }
+});
+
+// Sends a 400 listing every schema problem; returns true when the template was rejected
+function rejectInvalidTemplate(template, res) {
+  const errors = validateTemplate(template);
+  if (!errors.length) return false;
+  res.status(400).json({ error: "Invalid template", errors });
+  return true;
 }
 
 // API endpoint to get current template
-app.get("/api/template", (req, res) => {
-  if (!templateDefinition) {
+app.get("/api/template", async (req, res) => {
+  const template = await getTemplate(DEFAULT_TEMPLATE_ID);
+  if (!template) {
     return res.status(500).json({ error: "Template not loaded" });
   }
-  res.json(templateDefinition);
+  res.json(template);
 });
 
 // API endpoint to update template
@@ -91,24 +159,189 @@ app.put("/api/template", async (req, res) => {
   try {
     const newTemplate = req.body;
     
-    // Basic validation
-    if (!newTemplate || !newTemplate.elements || !Array.isArray(newTemplate.elements)) {
-      return res.status(400).json({ error: "Invalid template format" });
-    }
+    if (rejectInvalidTemplate(newTemplate, res)) return;
     
-    // Save to file
-    await fs.writeFile(templatePath, JSON.stringify(newTemplate, null, 2));
+    const { revision } = await saveTemplate(DEFAULT_TEMPLATE_ID, newTemplate);
     
-    // Update in-memory template
-    templateDefinition = newTemplate;
-    
-    res.json({ success: true, message: "Template updated successfully" });
+    res.json({ success: true, revision, message: "Template updated successfully" });
+  } catch (err) {
+    console.error("Failed to update template:", err);
+    res.status(500).json({ error: "Failed to update template" });
+  }
+});
+
+// Lint a template without saving it
+app.post("/api/template/validate", (req, res) => {
+  const errors = validateTemplate(req.body);
+  res.json({ valid: errors.length === 0, errors });
+});
+
+// Data contract: every placeholder a template uses and what its inputs block declares
+app.get(["/api/template/placeholders", "/api/templates/:id/placeholders"], async (req, res) => {
+  const id = req.params.id ?? DEFAULT_TEMPLATE_ID;
+  const template = await getTemplate(id);
+  if (!template) {
+    return res.status(404).json({ error: `Template '${id}' not found` });
+  }
+  res.json({ id, ...describeContract(template) });
+});
+
+// Template registry: list all named templates
+app.get("/api/templates", async (req, res) => {
+  try {
+    res.json({ templates: await listTemplates() });
+  } catch (err) {
+    console.error("Failed to list templates:", err);
+    res.status(500).json({ error: "Failed to list templates" });
+  }
+});
+
+// Template registry: create a new named template
+app.post("/api/templates", async (req, res) => {
+  try {
+    const { id, ...newTemplate } = req.body || {};
+
+    if (!isValidTemplateId(id)) {
+      return res.status(400).json({ error: "Template id must be 1-64 letters, digits, '-' or '_'" });
+    }
+    if (rejectInvalidTemplate(newTemplate, res)) return;
+    if (await templateExists(id)) {
+      return res.status(409).json({ error: `Template '${id}' already exists` });
+    }
+
+    const { revision } = await saveTemplate(id, newTemplate, { message: "Created" });
+    res.status(201).json({ success: true, id, revision, message: "Template created successfully" });
+  } catch (err) {
+    console.error("Failed to create template:", err);
+    res.status(500).json({ error: "Failed to create template" });
+  }
+});
+
+// Template registry: read one template
+app.get("/api/templates/:id", async (req, res) => {
+  const template = await getTemplate(req.params.id);
+  if (!template) {
+    return res.status(404).json({ error: `Template '${req.params.id}' not found` });
+  }
+  res.json(template);
+});
+
+// Template registry: update one template
+app.put("/api/templates/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const newTemplate = req.body;
+
+    if (!(await templateExists(id))) {
+      return res.status(404).json({ error: `Template '${id}' not found` });
+    }
+    if (rejectInvalidTemplate(newTemplate, res)) return;
+
+    const { revision } = await saveTemplate(id, newTemplate);
+    res.json({ success: true, id, revision, message: "Template updated successfully" });
   } catch (err) {
     console.error("Failed to update template:", err);
     res.status(500).json({ error: "Failed to update template" });
   }
 });
 
+// Template registry: delete one template (the default template cannot be removed)
+app.delete("/api/templates/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (id === DEFAULT_TEMPLATE_ID) {
+      return res.status(400).json({ error: "The default template cannot be deleted" });
+    }
+    if (!isValidTemplateId(id) || !(await deleteTemplate(id))) {
+      return res.status(404).json({ error: `Template '${id}' not found` });
+    }
+
+    res.json({ success: true, id, message: "Template deleted successfully" });
+  } catch (err) {
+    console.error("Failed to delete template:", err);
+    res.status(500).json({ error: "Failed to delete template" });
+  }
+});
+
+// Template history. Every route exists both for a named template and, under
+// /api/template, for the default one. History outlives a deleted template, so
+// it can be restored by rolling back to its last revision.
+function historyTemplateId(req) {
+  return req.params.id ?? DEFAULT_TEMPLATE_ID;
+}
+
+function parseRevision(value) {
+  const revision = Number(value);
+  return Number.isInteger(revision) && revision > 0 ? revision : null;
+}
+
+app.get(["/api/template/revisions", "/api/templates/:id/revisions"], async (req, res) => {
+  try {
+    const id = historyTemplateId(req);
+    if (!(await templateExists(id)) && !(await latestRevision(id))) {
+      return res.status(404).json({ error: `Template '${id}' not found` });
+    }
+    res.json({ id, revisions: await listRevisions(id) });
+  } catch (err) {
+    console.error("Failed to list revisions:", err);
+    res.status(500).json({ error: "Failed to list revisions" });
+  }
+});
+
+app.get(["/api/template/revisions/:rev", "/api/templates/:id/revisions/:rev"], async (req, res) => {
+  try {
+    const id = historyTemplateId(req);
+    const revision = parseRevision(req.params.rev);
+    const record = revision && (await getRevision(id, revision));
+    if (!record) {
+      return res.status(404).json({ error: `Revision '${req.params.rev}' of template '${id}' not found` });
+    }
+    res.json(record);
+  } catch (err) {
+    console.error("Failed to load revision:", err);
+    res.status(500).json({ error: "Failed to load revision" });
+  }
+});
+
+// Diff two revisions: ?from=<rev>&to=<rev>. "to" defaults to the latest revision.
+app.get(["/api/template/diff", "/api/templates/:id/diff"], async (req, res) => {
+  try {
+    const id = historyTemplateId(req);
+    const from = parseRevision(req.query.from);
+    const to = req.query.to === undefined ? await latestRevision(id) : parseRevision(req.query.to);
+    if (!from || !to) {
+      return res.status(400).json({ error: "Query parameters 'from' and 'to' must be revision numbers" });
+    }
+
+    const [fromRecord, toRecord] = await Promise.all([getRevision(id, from), getRevision(id, to)]);
+    if (!fromRecord || !toRecord) {
+      return res.status(404).json({ error: `Revision ${fromRecord ? to : from} of template '${id}' not found` });
+    }
+
+    res.json({ id, from, to, ...diffTemplates(fromRecord.template, toRecord.template) });
+  } catch (err) {
+    console.error("Failed to diff revisions:", err);
+    res.status(500).json({ error: "Failed to diff revisions" });
+  }
+});
+
+// Roll back by saving an old revision as a new one, so the rollback itself can be undone
+app.post(["/api/template/revisions/:rev/rollback", "/api/templates/:id/revisions/:rev/rollback"], async (req, res) => {
+  try {
+    const id = historyTemplateId(req);
+    const revision = parseRevision(req.params.rev);
+    const record = revision && (await rollbackTemplate(id, revision));
+    if (!record) {
+      return res.status(404).json({ error: `Revision '${req.params.rev}' of template '${id}' not found` });
+    }
+    res.json({ success: true, id, revision: record.revision, restoredFrom: revision, message: "Template rolled back successfully" });
+  } catch (err) {
+    console.error("Failed to roll back template:", err);
+    res.status(500).json({ error: "Failed to roll back template" });
+  }
+});
+
 // Serve admin page
 app.get("/admin", (req, res) => {
   res.sendFile(path.join(__dirname, "admin.html"));
@@ -257,11 +490,14 @@ app.get("/debug-font", async (req, res) => {
 // Preview endpoint that accepts custom template without saving
 app.post("/preview", async (req, res) => {
   try {
-    const { template, data } = req.body;
+    const { template, data: rawData } = req.body;
     
-    if (!template || !data) {
+    if (!template || !rawData) {
       return res.status(400).json({ error: "Both template and data are required" });
     }
+    if (rejectInvalidTemplate(template, res)) return;
+    const output = resolveOutput(template, req.body);
+    const [size] = requestedSizes({ size: req.body.size }, template);
     
     const requestId = crypto.randomUUID();
     const log = (...args) => console.log(`[${requestId}-preview]`, ...args);
@@ -272,405 +508,353 @@ app.post("/preview", async (req, res) => {
     
     // Use provided template instead of templateDefinition
     const customTemplate = template;
-    
-    // Load background from custom template, fallback to assets/background.png
-    let bgImage = null;
-    if (customTemplate?.background) {
-      const bgTemplatePath = resolvePlaceholders(customTemplate.background, data);
-      const resolvedBgPath = path.isAbsolute(bgTemplatePath)
-        ? bgTemplatePath
-        : path.join(process.cwd(), bgTemplatePath);
-      try {
-        log("load-background: template path", resolvedBgPath);
-        bgImage = await loadImage(resolvedBgPath);
-        log("load-background: template path ok");
-      } catch (e) {
-        logWarn("load-background: template path failed, falling back to assets/background.png", e?.message || e);
-      }
-    }
-    if (!bgImage) {
-      const fallbackBg = path.join(assetsDir, "background.png");
-      log("load-background: fallback path", fallbackBg);
-      bgImage = await loadImage(fallbackBg);
-      log("load-background: fallback ok");
-    }
 
-    const width = bgImage.width || 1080;
-    const height = bgImage.height || 1080;
-    const canvas = createCanvas(width, height);
-    const ctx = canvas.getContext("2d");
-
-    // Draw background full-size
-    ctx.drawImage(bgImage, 0, 0, width, height);
-
-    // Render elements from custom template
-    if (customTemplate?.elements?.length) {
-      for (const element of customTemplate.elements) {
-        const type = element.type;
-        if (type === "image") {
-          const name = element.name || "image";
-          const x = element.x ?? 0;
-          const y = element.y ?? 0;
-          const w = element.width ?? 0;
-          const h = element.height ?? 0;
-          const sourceRaw = element.source ?? "";
-          const source = resolvePlaceholders(sourceRaw, data);
-
-          // Optional border for circular clip
-          const border = element.border || null;
-          const hasCircleClip = element.clip === "circle";
-
-          let imageObj = null;
-          if (source.startsWith("http://") || source.startsWith("https://")) {
-            log("element:image fetch", { name, url: source });
-            const resp = await fetch(source);
-            if (!resp.ok) {
-              throw new Error(`Failed to fetch image (${name}): ${resp.status}`);
-            }
-            const buf = Buffer.from(await resp.arrayBuffer());
-            imageObj = await loadImage(buf);
-            log("element:image load ok", { name });
-          } else {
-            const localPath = path.isAbsolute(source) ? source : path.join(process.cwd(), source);
-            log("element:image load local", { name, path: localPath });
-            imageObj = await loadImage(localPath);
-            log("element:image load ok", { name });
-          }
-
-          if (hasCircleClip && border && border.width && border.color) {
-            ctx.beginPath();
-            ctx.arc(x + w / 2, y + h / 2, Math.min(w, h) / 2 + border.width / 2, 0, Math.PI * 2);
-            ctx.fillStyle = resolvePlaceholders(border.color, data) || "#000000";
-            ctx.fill();
-          }
-
-          ctx.save();
-          if (hasCircleClip) {
-            ctx.beginPath();
-            ctx.arc(x + w / 2, y + h / 2, Math.min(w, h) / 2, 0, Math.PI * 2);
-            ctx.closePath();
-            ctx.clip();
-          }
-          ctx.drawImage(imageObj, x, y, w, h);
-          ctx.restore();
-          log("element:image drawn", { name, x, y, w, h });
-        } else if (type === "rectangle") {
-          const name = element.name || "rectangle";
-          const x = element.x ?? 0;
-          const y = element.y ?? 0;
-          const w = element.width ?? 0;
-          const h = element.height ?? 0;
-          const radius = element.radius ?? 0;
-          const color = resolvePlaceholders(element.color ?? "#000000", data);
-          drawRoundedRect(ctx, x, y, w, h, radius);
-          ctx.fillStyle = color;
-          ctx.fill();
-          log("element:rectangle drawn", { name, x, y, w, h, radius, color });
-        } else if (type === "text") {
-          const name = element.name || "text";
-          const x = element.x ?? 0;
-          const y = element.y ?? 0;
-          const fontSize = element.fontSize ?? 24;
-          const color = resolvePlaceholders(element.color ?? "#000000", data);
-          const text = resolvePlaceholders(element.text ?? "", data);
-          const align = (element.align || "left").toLowerCase();
-          const fontFamilyRaw = element.font || "DB-Adman-X";
-          const fontFamily = resolvePlaceholders(fontFamilyRaw, data) || "DB-Adman-X";
-
-          ctx.font = `${fontSize}px ${fontFamily}`;
-          ctx.fillStyle = color;
-          ctx.textAlign = ["left", "right", "center"].includes(align) ? align : "left";
-          ctx.fillText(text, x, y);
-          log("element:text drawn", { name, x, y, fontSize, color, align, fontFamily });
-        }
-      }
+    // Previews apply input defaults but still render when the sample data
+    // breaks the contract; the problems are returned alongside the image
+    const { data, errors: dataErrors } = applyContract(customTemplate, rawData);
+    if (dataErrors.length) {
+      logWarn("data-contract", dataErrors);
     }
+    
+    const { canvas, report, animation } = await renderTemplate(applySize(customTemplate, size), data, {
+      log,
+      logWarn,
+      animate: isAnimated(output.format),
+    });
 
-    // Save the PNG to disk in public/ with a unique filename, then return JSON URL
-    const buffer = canvas.toBuffer("image/png");
+    // Store the image under a unique name, then return its public URL
+    const { buffer, extension, contentType } = await encodeImage(canvas, output, animation);
 
     const id = crypto.randomUUID();
-    const filename = `preview-${id}.png`;
-    const filePath = path.join(publicDir, filename);
+    const filename = `preview-${id}.${extension}`;
 
+    let url;
     try {
-      log("save-file", { path: filePath });
-      await fs.writeFile(filePath, buffer);
-      log("save-file ok", { path: filePath });
+      log("save-file", { name: filename, driver: storage.driver });
+      url = await storage.put(filename, buffer, contentType);
+      log("save-file ok", { name: filename });
     } catch (writeErr) {
       logError("save-file failed", writeErr);
       return res.status(500).json({ error: "Failed to save preview image" });
     }
 
-    const url = `https://ranking-celebration-image-render-api.onrender.com/i/${filename}`;
     log("done", { url });
-    return res.json({ url });
+    return res.json(dataErrors.length ? { url, report, dataErrors } : { url, report });
 
   } catch (err) {
+    if (err instanceof RenderError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
     console.error("[preview-unhandled]", err);
     res.status(500).send({ error: "Preview generation failed" });
   }
 });
 
+// Picks the template named in a render body (or the default one) and checks the
+// data against its declared inputs. Throws RenderError with 404 for an unknown
+// template, 400 for a bad format/quality/size and 422 for data that breaks the contract.
+async function prepareRequest(body, log) {
+  const { format, quality, size, sizes: sizeNames, no_cache: noCache, ...input } = body;
+  const templateId = input.template ?? DEFAULT_TEMPLATE_ID;
+  const templateDefinition = await getTemplate(templateId);
+  if (!templateDefinition) {
+    throw new RenderError(`Template '${templateId}' not found`, { status: 404 });
+  }
+  log("template", { id: templateId });
+  const output = resolveOutput(templateDefinition, { format, quality });
+  const sizes = requestedSizes({ size, sizes: sizeNames }, templateDefinition);
+
+  const { data, errors: dataErrors } = applyContract(templateDefinition, input);
+  if (dataErrors.length) {
+    log("data-contract rejected", dataErrors);
+    throw new RenderError("Invalid render data", { details: { fields: dataErrors } });
+  }
+  return { templateId, templateDefinition, data, output, sizes, useCache: noCache !== true };
+}
+
+// Renders every size the body asks for: [{ size, canvas, report, output, animation, cacheKey }],
+// where size is null for the template's own size and animation is set for animated formats.
+// Sizes already in the render cache come back as { size, cached: true, filename, url, report }.
+async function renderRequest(body, { log, logWarn }) {
+  const { templateId, templateDefinition, data, output, sizes, useCache } = await prepareRequest(body, log);
+  const renders = [];
+  for (const size of sizes) {
+    const cacheKey = useCache
+      ? renderCacheKey({ templateId, template: templateDefinition, data, output, size })
+      : null;
+    const hit = cacheKey && lookupRender(cacheKey);
+    if (hit) {
+      log("cache hit", { size, url: hit.url });
+      renders.push({ size, cached: true, filename: hit.filename, url: hit.url, report: hit.report });
+      continue;
+    }
+
+    const template = applySize(templateDefinition, size);
+    if (size) log("size", { size, width: template.width, height: template.height });
+    const { canvas, report, animation } = await renderTemplate(template, data, {
+      log,
+      logWarn,
+      animate: isAnimated(output.format),
+    });
+    renders.push({ size, canvas, report, output, animation, cacheKey, templateId });
+  }
+  return renders;
+}
+
+// Response for saved renders: { url, report } (plus "size" when one was picked),
+// or { sizes: { feed: { url, report }, ... } } when the body listed "sizes".
+// Results served from the render cache carry "cached": true.
+function renderResponse(body, results) {
+  const entry = ({ url, report, cached }) => (cached ? { url, cached, report } : { url, report });
+  if (body.sizes !== undefined) {
+    return { sizes: Object.fromEntries(results.map((result) => [result.size, entry(result)])) };
+  }
+  const [result] = results;
+  return result.size ? { size: result.size, ...entry(result) } : entry(result);
+}
+
+// Encodes a rendered canvas, stores it and returns { filename, url }
+async function saveImage(canvas, output, animation, log = () => {}) {
+  const { buffer, extension, contentType } = await encodeImage(canvas, output, animation);
+
+  // Analyze buffer for corruption signs
+  const bufferSize = buffer.length;
+  const expectedMinSize = 10000; // 900x900 PNG should be at least 10KB
+  const expectedMaxSize = 5000000; // Should be under 5MB
+  log("canvas-buffer-debug", {
+    bufferSize,
+    bufferSizeKB: Math.round(bufferSize / 1024),
+    bufferCorrupted: bufferSize < expectedMinSize || bufferSize > expectedMaxSize,
+    bufferStart: buffer.slice(0, 16).toString("hex"), // file header
+    format: output.format,
+    quality: output.quality,
+  });
+
+  const filename = `${crypto.randomUUID()}.${extension}`;
+  return { filename, url: await storage.put(filename, buffer, contentType) };
+}
+
+// Stores one result of renderRequest (cached ones are already stored) and
+// records it in the render cache. Returns { filename, url }. Shared by
+// /render, batches and jobs so all three cache and store the same way.
+async function storeRender(render, log) {
+  if (render.cached) return { filename: render.filename, url: render.url };
+  const saved = await saveImage(render.canvas, render.output, render.animation, log);
+  if (render.cacheKey) rememberRender(render.cacheKey, { templateId: render.templateId, ...saved, report: render.report });
+  return saved;
+}
+
+// Background jobs render exactly like /render; see lib/jobs.js
+const jobStats = await startJobs(async (request, jobId) => {
+  const log = (...args) => console.log(`[${jobId}-job]`, ...args);
+  const logWarn = (...args) => console.warn(`[${jobId}-job]`, ...args);
+  log("start job");
+  const results = [];
+  for (const render of await renderRequest(request, { log, logWarn })) {
+    const { url } = await storeRender(render, log);
+    results.push({ size: render.size, url, report: render.report, cached: render.cached });
+  }
+  log("done", { urls: results.map((result) => result.url) });
+  return renderResponse(request, results);
+});
+console.log("Render jobs loaded", jobStats);
+
+// POST /render?async=1: checks the request up front, then answers 202 with a job id
+async function enqueueRender(req, res) {
+  const { callback_url: callbackUrl, ...request } = req.body || {};
+  if (callbackUrl !== undefined) {
+    let valid = false;
+    try {
+      valid = ["http:", "https:"].includes(new URL(callbackUrl).protocol);
+    } catch {
+      // reported below
+    }
+    if (!valid) {
+      return res.status(400).json({ error: "callback_url must be an http(s) URL" });
+    }
+    // Callbacks must not reach loopback or internal addresses; hostnames are
+    // checked again when the callback is sent, against the address resolved then
+    try {
+      checkRemoteUrl(callbackUrl, { hostLists: false });
+    } catch (err) {
+      if (!(err instanceof SourceRejectedError)) throw err;
+      return res.status(400).json({ error: `callback_url is not allowed: ${err.reason}` });
+    }
+    if (!callbackSecret()) {
+      return res.status(400).json({ error: "callback_url needs CALLBACK_SECRET to be configured on the server" });
+    }
+  }
+
+  await prepareRequest(request, () => {});
+  const job = await createJob(request, { callbackUrl });
+  console.log(`[${job.id}-job] queued`);
+  return res.status(202).json({ job: job.id, status: job.status, status_url: `/jobs/${job.id}` });
+}
+
+app.get("/jobs/:id", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: `Job '${req.params.id}' not found` });
+  }
+  res.json(publicJob(job));
+});
+
 app.post("/render", async (req, res) => {
   try {
+    if (req.query.async === "1" || req.query.async === "true") {
+      return await enqueueRender(req, res);
+    }
+
     const requestId = crypto.randomUUID();
     const log = (...args) => console.log(`[${requestId}]`, ...args);
     const logWarn = (...args) => console.warn(`[${requestId}]`, ...args);
     const logError = (...args) => console.error(`[${requestId}]`, ...args);
     log("start /render");
-    // Load background from template, fallback to assets/background.png
-    let bgImage = null;
-    if (templateDefinition?.background) {
-      const bgTemplatePath = resolvePlaceholders(templateDefinition.background, req.body);
-      const resolvedBgPath = path.isAbsolute(bgTemplatePath)
-        ? bgTemplatePath
-        : path.join(process.cwd(), bgTemplatePath);
+
+    const renders = await renderRequest(req.body, { log, logWarn });
+    const results = [];
+    for (const render of renders) {
+      const { size, canvas, report } = render;
+      if (!render.cached) {
+        const ctx = canvas.getContext("2d");
+
+        // CRITICAL: Test canvas buffer export for corruption
+        log("canvas-export-test", { 
+          canvasWidth: canvas.width, 
+          canvasHeight: canvas.height,
+          expectedPixels: canvas.width * canvas.height,
+          canvasType: canvas.constructor.name 
+        });
+
+        // CRITICAL: Test if canvas pixels are actually rendered correctly
+        const imageData = ctx.getImageData(0, 0, Math.min(canvas.width, 100), Math.min(canvas.height, 100));
+        const pixels = imageData.data;
+        let nonZeroPixels = 0;
+        let coloredPixels = 0;
+      
+        for (let i = 0; i < pixels.length; i += 4) {
+          const r = pixels[i], g = pixels[i + 1], b = pixels[i + 2], a = pixels[i + 3];
+          if (a > 0) nonZeroPixels++;
+          if (r > 50 || g > 50 || b > 50) coloredPixels++; // Non-black pixels
+        }
+      
+        log("canvas-pixel-debug", {
+          sampledPixels: pixels.length / 4,
+          nonZeroPixels,
+          coloredPixels,
+          pixelRatio: coloredPixels / (pixels.length / 4),
+          firstPixelRGBA: [pixels[0], pixels[1], pixels[2], pixels[3]]
+        });
+      }
+
+      // Store the image under a unique name (or reuse the cached one), then return its public URL
+      let url;
       try {
-        log("load-background: template path", resolvedBgPath);
-        bgImage = await loadImage(resolvedBgPath);
-        log("load-background: template path ok");
-      } catch (e) {
-        logWarn("load-background: template path failed, falling back to assets/background.png", e?.message || e);
+        log("save-file", { driver: storage.driver, cached: Boolean(render.cached) });
+        ({ url } = await storeRender(render, log));
+        log("save-file ok", { url });
+      } catch (writeErr) {
+        logError("save-file failed", writeErr);
+        return res.status(500).json({ error: "Failed to save image" });
       }
-    }
-    if (!bgImage) {
-      const fallbackBg = path.join(assetsDir, "background.png");
-      log("load-background: fallback path", fallbackBg);
-      bgImage = await loadImage(fallbackBg);
-      log("load-background: fallback ok");
+
+      log("saved", { size, url });
+      results.push({ size, url, report, cached: render.cached });
     }
 
-    const width = bgImage.width || 1080;
-    const height = bgImage.height || 1080;
-    const canvas = createCanvas(width, height);
-    const ctx = canvas.getContext("2d");
+    log("done", { urls: results.map((result) => result.url) });
+    return res.json(renderResponse(req.body, results));
 
-    // CRITICAL: Log canvas dimensions and coordinates
-    log("canvas-setup", { width, height, bgWidth: bgImage.width, bgHeight: bgImage.height });
-
-    // CRITICAL: Test if Canvas has scaling issues
-    const testFont = "100px Arial";
-    ctx.font = testFont;
-    const testMeasure = ctx.measureText("TEST");
-    log("canvas-scaling-test", { 
-      requestedFont: testFont, 
-      actualFont: ctx.font,
-      testWidth: testMeasure.width,
-      testHeight: testMeasure.actualBoundingBoxAscent,
-      scalingWorking: testMeasure.actualBoundingBoxAscent > 50 
-    });
+  } catch (err) {
+    if (err instanceof RenderError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    console.error("[unhandled]", err);
+    res.status(500).send({ error: "Image generation failed" });
+  }
+});
 
-    // Draw background full-size
-    ctx.drawImage(bgImage, 0, 0, width, height);
-    
-    // Log initial canvas state
-    log("canvas-initial-state", { font: ctx.font, fillStyle: ctx.fillStyle, textAlign: ctx.textAlign });
-
-    // Render elements from template
-    if (templateDefinition?.elements?.length) {
-      for (const element of templateDefinition.elements) {
-        const type = element.type;
-        if (type === "image") {
-          const name = element.name || "image";
-          const x = element.x ?? 0;
-          const y = element.y ?? 0;
-          const w = element.width ?? 0;
-          const h = element.height ?? 0;
-          const sourceRaw = element.source ?? "";
-          const source = resolvePlaceholders(sourceRaw, req.body);
-
-          // Optional border for circular clip
-          const border = element.border || null;
-          const hasCircleClip = element.clip === "circle";
-
-          let imageObj = null;
-          if (source.startsWith("http://") || source.startsWith("https://")) {
-            log("element:image fetch", { name, url: source });
-            const resp = await fetch(source);
-            if (!resp.ok) {
-              throw new Error(`Failed to fetch image (${name}): ${resp.status}`);
-            }
-            const buf = Buffer.from(await resp.arrayBuffer());
-            imageObj = await loadImage(buf);
-            log("element:image load ok", { name });
-          } else {
-            const localPath = path.isAbsolute(source) ? source : path.join(process.cwd(), source);
-            log("element:image load local", { name, path: localPath });
-            imageObj = await loadImage(localPath);
-            log("element:image load ok", { name });
-          }
-
-          if (hasCircleClip && border && border.width && border.color) {
-            ctx.beginPath();
-            ctx.arc(x + w / 2, y + h / 2, Math.min(w, h) / 2 + border.width / 2, 0, Math.PI * 2);
-            ctx.fillStyle = resolvePlaceholders(border.color, req.body) || "#000000";
-            ctx.fill();
-          }
-
-          ctx.save();
-          if (hasCircleClip) {
-            ctx.beginPath();
-            ctx.arc(x + w / 2, y + h / 2, Math.min(w, h) / 2, 0, Math.PI * 2);
-            ctx.closePath();
-            ctx.clip();
-          }
-          ctx.drawImage(imageObj, x, y, w, h);
-          ctx.restore();
-          log("element:image drawn", { name, x, y, w, h });
-        } else if (type === "rectangle") {
-          const name = element.name || "rectangle";
-          const x = element.x ?? 0;
-          const y = element.y ?? 0;
-          const w = element.width ?? 0;
-          const h = element.height ?? 0;
-          const radius = element.radius ?? 0;
-          const colorTemplate = element.color ?? "#000000";
-          const color = resolvePlaceholders(colorTemplate, req.body);
-          log("element:rectangle color resolution", { name, template: colorTemplate, resolved: color, data: req.body });
-          drawRoundedRect(ctx, x, y, w, h, radius);
-          ctx.fillStyle = color;
-          ctx.fill();
-          log("element:rectangle drawn", { name, x, y, w, h, radius, color });
-        } else if (type === "text") {
-          const name = element.name || "text";
-          const x = element.x ?? 0;
-          const y = element.y ?? 0;
-          const fontSize = element.fontSize ?? 24;
-          const colorTemplate = element.color ?? "#000000";
-          const color = resolvePlaceholders(colorTemplate, req.body);
-          const textTemplate = element.text ?? "";
-          const text = resolvePlaceholders(textTemplate, req.body);
-          const align = (element.align || "left").toLowerCase();
-          const fontFamilyRaw = element.font || "DB-Adman-X";
-          const fontFamily = resolvePlaceholders(fontFamilyRaw, req.body) || "DB-Adman-X";
-
-          log("element:text details", { name, fontSize, colorTemplate, color, textTemplate, text, fontFamily });
-          
-          // Debug font setting with explicit fallback
-          const fontString = `${fontSize}px "${fontFamily}", Arial, sans-serif`;
-          log("element:text font setting", { fontString, before: ctx.font });
-          ctx.font = fontString;
-          log("element:text font after setting", { fontString, after: ctx.font });
-          
-          // Test if font is actually working by measuring test character
-          const testMetrics = ctx.measureText("M");
-          const expectedHeight = fontSize * 0.7; // Rough estimate for font height
-          const actualWorking = testMetrics.actualBoundingBoxAscent > expectedHeight * 0.5;
-          log("element:text font validation", { 
-            fontSize, 
-            testChar: "M", 
-            expectedHeight, 
-            actualHeight: testMetrics.actualBoundingBoxAscent,
-            fontWorking: actualWorking,
-            fontFamily 
-          });
-          
-          // CRITICAL FIX: If font scaling is broken, apply manual scaling
-          if (!actualWorking && testMetrics.actualBoundingBoxAscent < expectedHeight * 0.5) {
-            const scaleFactor = expectedHeight / (testMetrics.actualBoundingBoxAscent || 1);
-            const correctedFontSize = Math.round(fontSize * scaleFactor);
-            const correctedFontString = `${correctedFontSize}px "${fontFamily}", Arial, sans-serif`;
-            ctx.font = correctedFontString;
-            log("element:text SCALING FIX applied", { 
-              originalSize: fontSize, 
-              correctedSize: correctedFontSize, 
-              scaleFactor, 
-              newFont: correctedFontString 
-            });
-          }
-          
-          ctx.fillStyle = color;
-          ctx.textAlign = ["left", "right", "center"].includes(align) ? align : "left";
-          
-          // Debug text rendering
-          log("element:text about to draw", { text, x, y, fontSize, color, fontFamily, actualFont: ctx.font, actualFillStyle: ctx.fillStyle });
-          
-          // CRITICAL: Test if text actually renders by measuring it
-          const textMetrics = ctx.measureText(text);
-          log("element:text metrics", { text, width: textMetrics.width, actualHeight: textMetrics.actualBoundingBoxAscent });
-          
-          // Save context before drawing
-          const beforeDraw = { font: ctx.font, fillStyle: ctx.fillStyle, textAlign: ctx.textAlign };
-          
-          ctx.fillText(text, x, y);
-          
-          // Check if context changed after drawing
-          const afterDraw = { font: ctx.font, fillStyle: ctx.fillStyle, textAlign: ctx.textAlign };
-          log("element:text context check", { beforeDraw, afterDraw, contextChanged: JSON.stringify(beforeDraw) !== JSON.stringify(afterDraw) });
-          
-          log("element:text drawn", { name, x, y, fontSize, color, align, fontFamily });
-        }
-      }
+// Renders many cards in one request, a few at a time. Body:
+//   { "items": [{ "template": "monthly", ...data }, ...], "template": "default", "concurrency": 4, "zip": true }
+// or just the items array. Items default to the top-level template. Each item
+// succeeds or fails on its own; with "zip" the rendered images are also packed
+// into one archive together with a results.json manifest.
+app.post("/render/batch", async (req, res) => {
+  try {
+    const body = Array.isArray(req.body) ? { items: req.body } : req.body || {};
+    const { items } = body;
+    if (!Array.isArray(items) || !items.length) {
+      return res.status(400).json({ error: "items must be a non-empty array" });
+    }
+    if (items.length > BATCH_MAX_ITEMS) {
+      return res.status(400).json({ error: `A batch may contain at most ${BATCH_MAX_ITEMS} items` });
     }
+    const concurrency = Math.min(BATCH_CONCURRENCY, Math.max(1, parseInt(body.concurrency) || BATCH_CONCURRENCY));
 
-    // CRITICAL: Test canvas buffer export for corruption
-    log("canvas-export-test", { 
-      canvasWidth: canvas.width, 
-      canvasHeight: canvas.height,
-      expectedPixels: canvas.width * canvas.height,
-      canvasType: canvas.constructor.name 
-    });
+    const batchId = crypto.randomUUID();
+    const log = (...args) => console.log(`[${batchId}-batch]`, ...args);
+    const logWarn = (...args) => console.warn(`[${batchId}-batch]`, ...args);
+    const logError = (...args) => console.error(`[${batchId}-batch]`, ...args);
+    log("start /render/batch", { items: items.length, concurrency });
 
-    // Save the PNG to disk in public/ with a unique filename, then return JSON URL
-    const buffer = canvas.toBuffer("image/png");
-    
-    // CRITICAL: Analyze buffer for corruption signs
-    const bufferSize = buffer.length;
-    const expectedMinSize = 10000; // 900x900 PNG should be at least 10KB
-    const expectedMaxSize = 5000000; // Should be under 5MB
-    const bufferCorrupted = bufferSize < expectedMinSize || bufferSize > expectedMaxSize;
-    
-    // CRITICAL: Test if canvas pixels are actually rendered correctly
-    const imageData = ctx.getImageData(0, 0, Math.min(canvas.width, 100), Math.min(canvas.height, 100));
-    const pixels = imageData.data;
-    let nonZeroPixels = 0;
-    let coloredPixels = 0;
-    
-    for (let i = 0; i < pixels.length; i += 4) {
-      const r = pixels[i], g = pixels[i + 1], b = pixels[i + 2], a = pixels[i + 3];
-      if (a > 0) nonZeroPixels++;
-      if (r > 50 || g > 50 || b > 50) coloredPixels++; // Non-black pixels
-    }
-    
-    log("canvas-pixel-debug", {
-      sampledPixels: pixels.length / 4,
-      nonZeroPixels,
-      coloredPixels,
-      pixelRatio: coloredPixels / (pixels.length / 4),
-      firstPixelRGBA: [pixels[0], pixels[1], pixels[2], pixels[3]]
-    });
+    const outcomes = await mapWithConcurrency(items, concurrency, async (item, index) => {
+      if (!item || typeof item !== "object" || Array.isArray(item)) {
+        throw new RenderError("Item must be an object of render data", { status: 400 });
+      }
+      const itemLog = (...args) => log(`#${index}`, ...args);
+      const itemWarn = (...args) => logWarn(`#${index}`, ...args);
+      if (item.sizes !== undefined) {
+        throw new RenderError("sizes is not supported in batches; send one item per size", { status: 400 });
+      }
+      const defaults = Object.fromEntries(
+        ["template", "format", "quality", "size"].filter((key) => body[key] !== undefined).map((key) => [key, body[key]])
+      );
+      const [render] = await renderRequest({ ...defaults, ...item }, { log: itemLog, logWarn: itemWarn });
 
-    log("canvas-buffer-debug", {
-      bufferSize,
-      bufferSizeKB: Math.round(bufferSize / 1024),
-      expectedMinSize,
-      expectedMaxSize,
-      bufferCorrupted,
-      bufferStart: buffer.slice(0, 16).toString('hex'), // PNG header
-      bufferValidPNG: buffer.slice(0, 8).toString('hex') === '89504e470d0a1a0a'
+      return { ...(await storeRender(render, itemLog)), report: render.report, cached: render.cached };
     });
 
-    const id = crypto.randomUUID();
-    const filename = `${id}.png`;
-    const filePath = path.join(publicDir, filename);
-
-    try {
-      log("save-file", { path: filePath });
-      await fs.writeFile(filePath, buffer);
-      log("save-file ok", { path: filePath });
-    } catch (writeErr) {
-      logError("save-file failed", writeErr);
-      return res.status(500).json({ error: "Failed to save image" });
+    const results = outcomes.map(({ value, error }, index) => {
+      if (value) {
+        return { index, status: "done", url: value.url, ...(value.cached ? { cached: true } : {}), report: value.report };
+      }
+      if (error instanceof RenderError) {
+        return { index, status: "failed", code: error.status, error: error.message, ...error.details };
+      }
+      logError(`#${index} failed`, error);
+      return { index, status: "failed", code: 500, error: error?.message || "Image generation failed" };
+    });
+    const succeeded = results.filter((result) => result.status === "done").length;
+    log("done", { succeeded, failed: results.length - succeeded });
+
+    const response = { batch: batchId, total: results.length, succeeded, failed: results.length - succeeded, results };
+
+    if (body.zip && succeeded) {
+      const zipName = `batch-${batchId}.zip`;
+      // Images are read back from storage one at a time while the archive is written
+      const entries = outcomes
+        .map(({ value }, index) => {
+          const name = `${String(index + 1).padStart(String(items.length).length, "0")}${path.extname(value?.filename || "")}`;
+          return value && { name, content: () => storage.read(value.filename) };
+        })
+        .filter(Boolean);
+      entries.push({ name: "results.json", content: JSON.stringify(results, null, 2) });
+      const zipPath = path.join(os.tmpdir(), zipName);
+      try {
+        const bytes = await writeZip(zipPath, entries);
+        response.zip_url = await storage.putFile(zipName, zipPath, "application/zip");
+        log("zip ok", { zipName, bytes });
+      } catch (zipErr) {
+        logError("zip failed", zipErr);
+        await fs.rm(zipPath, { force: true });
+        response.zip_error = "Failed to build ZIP";
+      }
     }
 
-    const url = `https://ranking-celebration-image-render-api.onrender.com/i/${filename}`;
-    log("done", { url });
-    return res.json({ url });
-
+    return res.json(response);
   } catch (err) {
-    console.error("[unhandled]", err);
-    res.status(500).send({ error: "Image generation failed" });
+    console.error("[batch-unhandled]", err);
+    res.status(500).send({ error: "Batch generation failed" });
   }
 });
 